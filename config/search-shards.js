@@ -0,0 +1,99 @@
+/**
+ * Split the items of a search index in shards, fetched by the search bar as the user types.
+ * Items are written to the shard of each word of their names and id, keyed by the first
+ * characters of the word. Words are folded the way the typeahead folds them, so the search
+ * bar finds the shard of a text from its first word.
+ *
+ * The shards are written to src/config/search/<index id>/<key>.json, the index of
+ * src/config/config.search.json then points to them instead of holding its items.
+ *
+ * Usage: node config/search-shards.js <index id> [items.json] [key length]
+ * 	items.json is a list of items, [id, name, min lng, min lat, max lng, max lat], the
+ * 	items of the index are used if it's missing. The key length defaults to 2.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..", "src");
+const config = path.join(root, "config", "config.search.json");
+
+// Must match Typeahead.Fold in web-mapping-components.js
+const accents = { a:"àáâãäå", c:"ç", e:"èéêë", i:"ìíîï", n:"ñ", o:"òóôõö", u:"ùúûü", y:"ýÿ", oe:"œ", ae:"æ" };
+const unaccent = {};
+
+for (var letter in accents) {
+	accents[letter].split("").forEach(c => unaccent[c] = letter);
+}
+
+function fold(text) {
+	var folded = "";
+
+	for (var i = 0; i < text.length; i++) {
+		var c = text.charAt(i).toLowerCase();
+
+		if (c == "'" || c == "\u2019") continue;
+
+		// Control characters (e.g. from badly encoded names) would end up in the shard file names
+		if (/[\u0000-\u001f\u007f-\u009f]/.test(c) && !/\s/.test(c)) continue;
+
+		c = unaccent[c] || c;
+
+		if (/[\s!-\/:-@\[-`{-~\u2013\u2014\u00ab\u00bb]/.test(c)) {
+			if (folded.length == 0 || folded.charAt(folded.length - 1) == " ") continue;
+
+			c = " ";
+		}
+
+		folded += c;
+	}
+
+	return folded.trim();
+}
+
+function keys(item, length) {
+	var names = (item[1] && typeof item[1] === "object") ? Object.values(item[1]) : [item[1]];
+	var words = names.concat([item[0]]).reduce((w, n) => w.concat(fold(String(n)).split(" ")), []);
+
+	return words.filter(w => w.length > 0).map(w => w.slice(0, length)).filter((k, i, all) => all.indexOf(k) == i);
+}
+
+var id = process.argv[2];
+var search = JSON.parse(fs.readFileSync(config, "utf8"));
+var index = id && search.indexes.filter(i => i.id == id)[0];
+
+if (!index) {
+	console.error("Usage: node config/search-shards.js <index id> [items.json] [key length]");
+
+	process.exit(1);
+}
+
+var items = process.argv[3] ? JSON.parse(fs.readFileSync(process.argv[3], "utf8")) : index.items;
+var length = Number(process.argv[4]) || 2;
+
+if (!items) {
+	console.error(`Index ${id} has no items, provide them in a file.`);
+
+	process.exit(1);
+}
+
+var folder = path.join(root, "config", "search", id);
+var shards = {};
+
+items.forEach(item => keys(item, length).forEach(k => (shards[k] = shards[k] || []).push(item)));
+
+fs.mkdirSync(folder, { recursive:true });
+
+// Shards of a previous run are removed, their keys may not exist anymore
+fs.readdirSync(folder).filter(f => f.endsWith(".json")).forEach(f => fs.unlinkSync(path.join(folder, f)));
+
+for (var k in shards) {
+	fs.writeFileSync(path.join(folder, `${k}.json`), JSON.stringify(shards[k]));
+}
+
+delete index.items;
+
+index.shards = { path:`./config/search/${id}`, length:length };
+
+fs.writeFileSync(config, JSON.stringify(search));
+
+console.log(`${items.length} items of index ${id} written to ${Object.keys(shards).length} shards in ${folder}`);
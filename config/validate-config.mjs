@@ -0,0 +1,72 @@
+/**
+ * Validate the config files of the viewer against their JSON Schemas, the same checks the
+ * viewer runs when it starts. The problems are listed by file, the process exits with an
+ * error code if there are any, so the script can run in a test run.
+ *
+ * The schemas are in src/config/schemas, the validator is src/schema.js.
+ *
+ * Usage: node config/validate-config.mjs
+ */
+import fs from "fs";
+import path from "path";
+import url from "url";
+
+const root = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "..", "src");
+
+// Optional files are only validated if they exist, see main.js
+const files = [
+	{ file:"./config/config.applications.json", schema:"applications" },
+	{ file:"./config/config.bookmarks.json", schema:"bookmarks", optional:true },
+	{ file:"./config/config.search.json", schema:"search" },
+	{ file:"./config/config.attributes.json", schema:"attributes" },
+	{ file:"./config/config.table.json", schema:"table" },
+	{ file:"./config/config.credentials.json", schema:"credentials", optional:true },
+	{ file:"./config/config.basemaps.json", schema:"basemaps" }
+];
+
+function read(file) {
+	return JSON.parse(fs.readFileSync(path.join(root, file), "utf8"));
+}
+
+function validate(Schema, file, schema) {
+	try {
+		return Schema.Validate(read(file), read(`./config/schemas/${schema}.schema.json`));
+	}
+	catch (error) {
+		return [error.message];
+	}
+}
+
+// schema.js is an ES module in a package without a module type, it doesn't import anything so
+// it's loaded from its source, which doesn't depend on how the version of Node guesses its type.
+var source = fs.readFileSync(path.join(root, "schema.js"));
+
+import("data:text/javascript;base64," + source.toString("base64")).then(module => {
+	var Schema = module.default;
+	var checked = files.filter(f => !f.optional || fs.existsSync(path.join(root, f.file)));
+	var problems = checked.map(f => validate(Schema, f.file, f.schema));
+
+	// Map files are listed in the applications file
+	if (problems[0].length == 0) {
+		read(files[0].file).forEach(file => {
+			checked.push({ file:file });
+			problems.push(validate(Schema, file, "map"));
+		});
+	}
+
+	var count = 0;
+
+	checked.forEach((f, i) => {
+		problems[i].forEach(p => console.error(`${f.file} : ${p}`));
+
+		count += problems[i].length;
+	});
+
+	if (count > 0) {
+		console.error(`${count} problems found in ${checked.length} config files`);
+
+		process.exit(1);
+	}
+
+	console.log(`${checked.length} config files are valid`);
+});
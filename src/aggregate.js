@@ -0,0 +1,117 @@
+import { Core, Dom, Control } from './web-mapping-components/web-mapping-components.js';
+
+import Polish from "./polish.js";
+import Format from "./format.js";
+
+/**
+ * Aggregate class, a panel listing the selected features with the totals of their
+ * values. The totals are defined in a map config file as follows:
+ *
+ * "aggregate": {
+ *		"name": "name", <- the property used to list the features
+ *		"fields": ["population", "buildings", "ratio"] <- ids of map fields
+ * }
+ *
+ * Fields are summed, except polish fields which are computed again from the sums
+ * (e.g. the ratio of the total population to the total buildings).
+ * @class
+ */
+export default class Aggregate extends Control {
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		this.Node("clear").addEventListener("click", ev => this.Emit("Clear", {}));
+
+		this.Update([], null, []);
+	}
+
+	/**
+	 * Set the features listed in the panel, the panel is hidden when there are none
+	 * @param {array} items - list of selected features, { id, name, properties }
+	 * @param {array} ids - ids of the fields to total
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 */
+	Update(items, ids, fields) {
+		var totals = Aggregate.Totals(items, ids || [], fields);
+
+		Dom.ToggleClass(this.Node("root"), "hidden", items.length == 0);
+
+		this.Node("count").innerHTML = Core.Nls("Aggregate_Count", [items.length]);
+
+		Dom.Empty(this.Node("list"));
+		Dom.Empty(this.Node("totals"));
+
+		items.forEach(i => {
+			var li = Dom.Create("li", {}, this.Node("list"));
+			var name = (i.name === null || i.name === undefined) ? i.id : i.name;
+
+			Dom.Create("span", { textContent:name }, li);
+
+			var btn = Dom.Create("button", { type:"button", className:"remove", textContent:"×", title:Core.Nls("Aggregate_Remove_Title") }, li);
+
+			btn.addEventListener("click", ev => this.Emit("Remove", { id:i.id }));
+		});
+
+		Aggregate.DrawTotals(this.Node("totals"), totals, fields);
+	}
+
+	/**
+	 * Add a row for each total to a table, with the label of the field and its formatted
+	 * value. Missing values are shown as not available.
+	 * @param {object} tbody - the table body receiving the rows
+	 * @param {object} totals - the totals, by field id, as provided by Totals
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 */
+	static DrawTotals(tbody, totals, fields) {
+		var display = Format.Fields(totals, fields);
+
+		fields.filter(f => totals.hasOwnProperty(f.id)).forEach(f => {
+			var v = display[f.id];
+			var tr = Dom.Create("tr", {}, tbody);
+
+			if (v === null || v === undefined || v === "") v = Core.Nls("Map_Not_Available");
+
+			Dom.Create("th", { scope:"row", textContent:f.label }, tr);
+			Dom.Create("td", { textContent:v }, tr);
+		});
+	}
+
+	/**
+	 * Total the values of a list of features. Fields are summed, polish fields are
+	 * computed from the sums. Missing values are ignored.
+	 * @param {array} items - list of features, { id, name, properties }
+	 * @param {array} ids - ids of the fields to total
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * @returns {object} the totals, by field id
+	 */
+	static Totals(items, ids, fields) {
+		var selected = fields.filter(f => ids.indexOf(f.id) > -1);
+		var sums = {};
+
+		selected.filter(f => !f.polish).forEach(f => {
+			var values = items.map(i => i.properties && i.properties[f.id]);
+
+			values = values.filter(v => v !== null && v !== undefined && v !== "" && !isNaN(v));
+
+			sums[f.id] = values.length == 0 ? null : values.reduce((a, b) => a + Number(b), 0);
+		});
+
+		return Polish.Fields(sums, selected);
+	}
+
+	Template() {
+		return "<div handle='root' class='aggregate mapboxgl-ctrl'>" +
+					"<h2 class='aggregate-title'>nls(Aggregate_Title)</h2>" +
+					"<div handle='count' class='aggregate-count'></div>" +
+					"<ul handle='list' class='aggregate-list'></ul>" +
+					"<table class='aggregate-totals'>" +
+						"<caption>nls(Aggregate_Totals)</caption>" +
+						"<tbody handle='totals'></tbody>" +
+					"</table>" +
+					"<button handle='clear' type='button' class='clear' title='nls(Aggregate_Clear_Title)'>nls(Aggregate_Clear)</button>" +
+				"</div>";
+	}
+}
@@ -1,4 +1,21 @@
-import { Other, Factory, Core, Util, Dom, Store } from './web-mapping-components/web-mapping-components.js';
+import { Other, Factory, Core, Util, Dom, Net, Store, Tooltip } from './web-mapping-components/web-mapping-components.js';
+
+import UrlState from './url-state.js';
+import Classification from './classification.js';
+import Polish from './polish.js';
+import Format from './format.js';
+import Table from './table.js';
+import Geometry from './geometry.js';
+import Features from './features.js';
+import Export from './export.js';
+import Snapshot from './snapshot.js';
+import Print from './print.js';
+import Drill from './drill.js';
+import Aggregate from './aggregate.js';
+import Draw from './draw.js';
+import Measure from './measure.js';
+import Compare from './compare.js';
+import Basemap from './basemap.js';
 
 export default class PopApp { 
 	
@@ -18,43 +35,118 @@ export default class PopApp {
 			window.localStorage.setItem("lode-zoom", 11);
 		}
 
+		// Values provided in the URL take priority over the stored values
+		this.ApplyUrlState();
+
+		this.searchItem = null;
+		
+		// Marker of the coordinates searched
+		this.marker = null;
+		
+		// Table item of the feature highlighted from the table
+		this.highlight = null;
+		
+		// Layer and id of the feature under the pointer, when the map has hover tooltips
+		this.hovered = null;
+		
+		// Properties of the selected features, by layer and feature id
+		this.selected = {};
+		
+		// Features of the active layer inside the drawn shape, with their weight
+		this.sketched = null;
+		
+		// Legend checkbox states of each map, kept when switching maps
+		this.legendStates = {};
+		
+		// Layer filters defined in the map style, before the drill down filters are added
+		this.baseFilters = {};
+		
+		// Id of the map shown before the current one, shown again if the style of the current map fails to load
+		this.previous = null;
+
 		this.current = this.config.maps[Store.Map];
 
 		if (!this.current) this.current = Util.FirstProperty(this.config.maps);
 		
+		this.classification = this.GetClassification(this.current);
+		
 		this.AddMap();
 		this.AddSearch();
 		this.AddBaseControls();
 		this.AddGroup();
 		this.AddMenu();
+		this.AddTable();
+		this.AddDrill();
+		this.AddAggregate();
+		this.AddDraw();
+		this.AddMeasure();
+		this.AddCompare();
+		this.AddPrint();
+		this.RestoreSelection();
+		this.UpdateMapState();
 	}
 
-	AddMap() {
-		let token; 
+	ApplyUrlState() {
+		if (UrlState.Map && this.config.maps[UrlState.Map]) Store.Map = UrlState.Map;
 
-		try {
-			if (this.config.credentials
-				&& this.config.credentials.mapbox
-				&& this.config.credentials.mapbox.accessToken) {
-				token = this.config.credentials.mapbox.accessToken;
+		if (UrlState.Layer) Store.Layer = UrlState.Layer;
 
-			} else {
-				throw 'Mapbox access token must be provided in config.credentials.json to generate a map';
-			}
+		if (UrlState.Lat !== null) Store.Lat = UrlState.Lat;
 
-			this.map = Factory.Map("map", token, this.current.Style, [Store.Lng, Store.Lat], Store.Zoom);
-			
-			// Hooking up all events
-			this.map.On("StyleChanged", this.OnMapStyleChanged_Handler.bind(this));
-			this.map.On("MoveEnd", this.OnMapMoveEnd_Handler.bind(this));
-			this.map.On("ZoomEnd", this.OnMapZoomEnd_Handler.bind(this));
-			this.map.On("Click", this.OnMapClick_Handler.bind(this));
+		if (UrlState.Lng !== null) Store.Lng = UrlState.Lng;
+
+		if (UrlState.Zoom !== null) Store.Zoom = UrlState.Zoom;
+
+		if (UrlState.Opacity !== null) Store.Opacity = UrlState.Opacity;
+	}
+
+	UpdateUrl() {
+		UrlState.Write({
+			map : this.current.ID,
+			layer : Store.Layer,
+			lat : this.map.Center.lat.toFixed(5),
+			lng : this.map.Center.lng.toFixed(5),
+			zoom : this.map.Zoom.toFixed(2),
+			opacity : Store.Opacity,
+			legend : UrlState.LegendToString(this.group.legend.chkBoxesState),
+			search : this.searchItem && this.searchItem.id
+		});
+	}
+
+	AddMap() {
+		var credentials = this.config.credentials;
 		
-		} catch (err) {
-			console.error(err);
-		}
+		this.token = credentials && credentials.mapbox && credentials.mapbox.accessToken || null;
+
+		// Maps with a local style and self-hosted tiles don't need a token, the application can't start without it
+		if (!this.token && this.current.RequiresToken) throw new Error(Core.Nls("Startup_Token"));
+
+		this.map = Factory.Map("map", this.token, this.current.Style, [Store.Lng, Store.Lat], Store.Zoom);
+		
+		// Hooking up all events
+		this.map.On("StyleChanged", this.OnMapStyleChanged_Handler.bind(this));
+		this.map.On("StyleError", this.OnMapStyleError_Handler.bind(this));
+		this.map.On("MoveEnd", this.OnMapMoveEnd_Handler.bind(this));
+		this.map.On("ZoomEnd", this.OnMapZoomEnd_Handler.bind(this));
+		this.map.On("Click", this.OnMapClick_Handler.bind(this));
+		this.map.On("Idle", this.OnMapIdle_Handler.bind(this));
+		this.map.On("Hover", this.OnMapHover_Handler.bind(this));
+		this.map.On("HoverOut", this.OnMapHoverOut_Handler.bind(this));
+		this.map.On("SelectionChanged", this.OnMapSelectionChanged_Handler.bind(this));
+		this.map.On("BoxSelect", this.OnMapBoxSelect_Handler.bind(this));
+		
+		this.tooltip = new Tooltip(this.map.Container, "map-tooltip");
 	}
 
+	/**
+	 * Select the features stored in the last session, if they belong to the current map
+	 */
+	RestoreSelection() {
+		var selection = Store.Selection;
+		
+		if (selection && selection.map == this.current.ID) this.map.Select(selection.layer, selection.ids || []);
+	}
+	
 	AddBaseControls() {
 		var fullscreen = Factory.FullscreenControl(Core.Nls("FullScreen_Title"));
 		var navigation = Factory.NavigationControl(false, true, Core.Nls("Navigation_ZoomIn_Title"), Core.Nls("Navigation_ZoomOut_Title"));
@@ -65,33 +157,105 @@ export default class PopApp {
 		this.map.AddControl(scale);
 	}
 
-	AddSearch() {
-		this.config.search.items = this.config.search.items.map(i => {
+	/**
+	 * Get the indexes of the search config. Search configs without indexes hold a
+	 * single index of CSDs, highlighted on their own layer. Indexes split in shards have
+	 * no items, their items are fetched by the search bar as the user types.
+	 * @returns {array} list of indexes, { id, level, layer, tag, items, shards }
+	 */
+	SearchIndexes() {
+		var search = this.config.search;
+		var indexes = search.indexes || [{ id:"csd", level:null, highlight:search.layer, items:search.items }];
+		
+		return indexes.map(i => {
+			return {
+				id : i.id,
+				level : i.level || null,
+				layer : i.highlight || null,
+				tag : i.label && i.label[Core.locale] || null,
+				items : i.items || [],
+				shards : i.shards || null
+			}
+		});
+	}
+	
+	/**
+	 * Get the search items of an index
+	 * @param {object} index - the search index
+	 * @param {array} rows - list of index items, [id, name, min lng, min lat, max lng, max lat]
+	 * @returns {array} list of search items, { id, name, label, extent, index, tag }
+	 */
+	SearchItems(index, rows) {
+		return rows.map(i => {
+			var name = (i[1] && typeof i[1] === "object") ? i[1][Core.locale] : i[1];
+			
 			return { 
 				id : i[0], 
-				name : i[1],
-				label : `${i[1]} (${i[0]})`, 
-				extent : [[i[2], i[3]], [i[4], i[5]]] 
+				name : name,
+				label : `${name} (${i[0]})`, 
+				extent : [[i[2], i[3]], [i[4], i[5]]],
+				index : index.id,
+				tag : index.tag
+			}
+		});
+	}
+	
+	/**
+	 * Get the id patterns of the search config, ids matching a pattern are looked up on
+	 * the layer of their level when they aren't search items
+	 * @returns {array} list of patterns, { pattern, level, tag, prefix }
+	 */
+	SearchPatterns() {
+		return (this.config.search.patterns || []).map(p => {
+			return {
+				pattern : p.pattern,
+				level : p.level,
+				tag : p.label && p.label[Core.locale] || null,
+				prefix : p.prefix || 0
 			}
 		});
+	}
+	
+	AddSearch() {
+		this.searchIndexes = this.SearchIndexes();
+		this.searchPatterns = this.SearchPatterns();
+		
+		var items = this.searchIndexes.reduce((items, index) => items.concat(this.SearchItems(index, index.items)), []);
 		
-		var search = Factory.SearchControl(this.config.search.items, Core.Nls("Search_Placeholder"), Core.Nls("Search_Title"));
+		var shards = this.searchIndexes.filter(i => i.shards).map(i => {
+			return { path:i.shards.path, length:i.shards.length, itemize:this.SearchItems.bind(this, i) };
+		});
+		
+		this.search = Factory.SearchControl(items, Core.Nls("Search_Placeholder"), Core.Nls("Search_Title"), this.searchPatterns, shards);
 		
 		// Add top-left search bar
-		this.map.AddControl(search, "top-left");
+		this.map.AddControl(this.search, "top-left");
+		
+		this.search.On("Change", this.OnSearchChange_Handler.bind(this));
 		
-		search.On("Change", this.OnSearchChange_Handler.bind(this));
+		this.search.Node("typeahead").Node("input").focus();
+
+		if (!UrlState.Search) return;
 		
-		search.Node("typeahead").Node("input").focus();
+		// The item may be in a shard, it's highlighted once found and the map is loaded
+		this.search.Load(UrlState.Search).then(() => {
+			this.searchItem = this.search.searchItems.filter(i => i.id == UrlState.Search)[0] || null;
+			
+			if (this.searchItem) this.map.WhenIdle().then(() => this.HighlightSearchItem(this.searchItem));
+		});
 	}
 
 	AddGroup() {
+		this.basemaps = this.Basemaps();
+		
 		// Top-right group for toc, legend, etc.	
 		this.group = {
-			legend : Factory.LegendControl(this.current.Legend, this.current.Title, null, this.current.Subtitle),
+			legend : Factory.LegendControl(this.LegendConfig(), this.current.Title, null, this.current.Subtitle),
 			toc : Factory.TocControl(this.current.TOC, Core.Nls("Toc_Instruction")),
 			opacity : Factory.OpacityControl(Store.Opacity),
-			download : Factory.DownloadControl(null, Core.Nls("Download_Title"))
+			basemap : new Basemap({ basemaps:this.basemaps, selected:this.Basemap().id }),
+			download : new Export({ label:Core.Nls("Download_Title") }),
+			snapshot : new Snapshot({ label:Core.Nls("Snapshot_Label") })
 		}
 		
 		if (this.current.HasLayer(Store.Layer)) this.group.toc.SelectItem(Store.Layer);
@@ -100,17 +264,683 @@ export default class PopApp {
 		
 		this.map.AddControl(Factory.Group(this.group));
 		
+		if (UrlState.Legend) this.group.legend.SetState(UrlState.Legend);
+		
 		this.group.opacity.label = Core.Nls("Toc_Opacity");
 		this.group.opacity.title = Core.Nls("Toc_Opacity_Title");
 		
 		this.group.opacity.On("OpacitySliderChanged", this.OnOpacitySlider_Changed.bind(this));
+		this.group.basemap.On("BasemapChanged", this.OnBasemap_Changed.bind(this));
 		this.group.toc.On("LayerVisibility", this.OnTOC_LayerVisibility.bind(this));
+		this.group.legend.On("LegendChange", this.OnLegend_Changed.bind(this));
+		this.group.download.On("Export", this.OnExport_Handler.bind(this));
+		this.group.snapshot.On("Snapshot", this.OnSnapshot_Handler.bind(this));
+	}
+	
+	/**
+	 * Get the basemaps of the basemaps config
+	 * @returns {array} list of basemaps, { id, label, style } where style is the basemap as expected by Map.SetBasemap
+	 */
+	Basemaps() {
+		return this.config.basemaps.items.map(b => {
+			var style = null;
+			
+			if (b.style) style = b.style;
+			
+			else if (b.tiles) {
+				style = {
+					sources : { raster : { type:"raster", tiles:b.tiles, tileSize:256, attribution:b.attribution } },
+					layers : [{ id:"raster", type:"raster", source:"raster" }]
+				}
+			}
+			
+			else if (b.color) {
+				style = {
+					sources : {},
+					layers : [{ id:"background", type:"background", paint:{ "background-color":`rgba(${b.color.join(",")})` } }]
+				}
+			}
+			
+			return { id:b.id, label:b.label && b.label[Core.locale] || b.id, style:style };
+		});
+	}
+	
+	/**
+	 * Get the chosen basemap, or the default basemap if none was chosen
+	 * @returns {object} the basemap, { id, label, style }
+	 */
+	Basemap() {
+		var chosen = this.basemaps.filter(b => b.id == Store.Basemap)[0];
+		
+		return chosen || this.basemaps.filter(b => b.id == this.config.basemaps.default)[0] || this.basemaps[0];
+	}
+	
+	/**
+	 * Show the chosen basemap under the layers of the current map, the layers themselves aren't changed
+	 */
+	ApplyBasemap() {
+		this.map.SetBasemap(this.Basemap().style, this.current.LayerIDs);
+	}
+	
+	AddTable() {
+		this.table = new Table({ field:this.config.attributes.field, rows:this.config.attributes.rows });
+		
+		this.table.Reload(this.current.Fields);
+		
+		this.map.AddControl(this.table, "bottom-left");
+		
+		this.table.On("RowSelected", this.OnTableRowSelected_Handler.bind(this));
+	}
+	
+	AddDrill() {
+		this.drill = new Drill({ hierarchy:this.current.Hierarchy, layer:Store.Layer });
+		
+		this.map.AddControl(this.drill, "top-left");
+		
+		this.drill.On("Select", this.OnDrillSelect_Handler.bind(this));
+	}
+	
+	AddAggregate() {
+		this.aggregate = new Aggregate();
+		
+		this.map.AddControl(this.aggregate, "bottom-right");
+		
+		this.aggregate.On("Remove", ev => this.map.RemoveFromSelection([ev.id]));
+		this.aggregate.On("Clear", ev => this.map.ClearSelection());
+		
+		this.UpdateAggregate();
+	}
+	
+	AddDraw() {
+		this.draw = new Draw();
+		
+		this.map.AddControl(this.draw, "bottom-right");
+		
+		this.draw.On("Sketch", ev => this.SummarizeSketch());
+		this.draw.On("MethodChanged", ev => this.SummarizeSketch());
+		this.draw.On("Clear", ev => this.sketched = null);
+		this.draw.On("Export", this.OnDrawExport_Handler.bind(this));
+	}
+	
+	AddMeasure() {
+		this.measure = new Measure();
+		
+		this.map.AddControl(this.measure, "bottom-right");
+	}
+	
+	AddCompare() {
+		this.compare = new Compare(this.map.Container.parentNode, { maps:this.config.maps, token:this.token });
+		
+		this.compare.On("Close", this.OnCompareClose_Handler.bind(this));
+	}
+	
+	AddPrint() {
+		this.print = new Print(document.body);
+		
+		this.print.On("LayoutChanged", this.OnPrintLayout_Changed.bind(this));
+		this.print.On("Print", this.OnPrint_Handler.bind(this));
+		this.print.On("Close", this.OnPrintClose_Handler.bind(this));
+	}
+	
+	/**
+	 * Get the ids of the active layers, the selected TOC layer or all the layers of
+	 * maps without a TOC. Only layers available in the map style are returned.
+	 * @returns {array} list of layer ids
+	 */
+	ActiveLayerIDs() {
+		var layers = this.current.TOC ? [Store.Layer] : this.current.LayerIDs;
+		
+		return layers.filter(l => !!this.map.GetLayer(l));
+	}
+	
+	/**
+	 * Make a layer the active TOC layer, only the active layer is shown
+	 * @param {string} layerId - the id of the layer
+	 */
+	SelectLayer(layerId) {
+		Store.Layer = layerId;
+		
+		this.UpdateMapState();
+		
+		this.group.toc.SelectItem(Store.Layer);
+		
+		// The selected feature is only outlined on the layer shown
+		if (this.map.Selection && this.map.Selection.layer != Store.Layer) this.map.ClearSelection();
+		
+		this.highlight = null;
+		
+		this.DrawHighlight();
+		this.RefreshTable();
+		this.SummarizeSketch();
+		
+		this.UpdateUrl();
+	}
+	
+	/**
+	 * Keep the filters the map style defines for the layers, drill down filters are added to them
+	 */
+	StoreBaseFilters() {
+		this.baseFilters = {};
+		
+		this.current.LayerIDs.forEach(id => {
+			var layer = this.map.GetLayer(id);
+			
+			this.baseFilters[id] = layer && layer.filter || null;
+		});
+	}
+	
+	/**
+	 * Limit the layers to the children of the features in the drill down path
+	 */
+	ApplyDrillFilters() {
+		this.current.LayerIDs.forEach(id => {
+			var base = this.baseFilters[id] || null;
+			var drill = this.drill.Filter(id);
+			
+			this.map.SetFilter(id, (base && drill) ? ["all", base, drill] : base || drill);
+		});
+	}
+	
+	/**
+	 * Drill down from a feature to its children at the next level, the map is fit to the feature
+	 * @param {string} layerId - the id of the feature's layer
+	 * @param {object} properties - the feature properties
+	 */
+	DrillDown(layerId, properties) {
+		var field = this.current.Hierarchy.field;
+		var features = this.map.QueryLayerSourceFeatures(layerId).filter(f => f.properties[field] == properties[field]);
+		var bounds = Geometry.Bounds(features.map(f => f.geometry));
+		var next = this.drill.Down(layerId, properties, bounds);
+		
+		this.ApplyDrillFilters();
+		this.SelectLayer(next.id);
+		
+		if (bounds) this.map.FitBounds(bounds, { padding:30 });
+	}
+	
+	/**
+	 * Roll up from a level to the level above, the map is fit to the parent feature if
+	 * the path went through it
+	 * @param {string} layerId - the id of the current layer
+	 */
+	RollUp(layerId) {
+		var previous = this.drill.Previous(layerId);
+		var entry = this.drill.Up(layerId);
+		
+		this.ApplyDrillFilters();
+		this.SelectLayer(previous.id);
+		
+		if (entry && entry.bounds) this.map.FitBounds(entry.bounds, { padding:30 });
+	}
+	
+	/**
+	 * Get the base name of the files exported from the current map and layer
+	 * @returns {string} the file name, without extension
+	 */
+	ExportName() {
+		return this.current.TOC ? `${this.current.ID}-${Store.Layer}` : this.current.ID;
+	}
+	
+	/**
+	 * Check if a shape is being drawn or measured, map clicks are then used to add vertices
+	 * @returns {boolean} true if a shape is being drawn, false otherwise
+	 */
+	IsSketching() {
+		return this.draw.Sketching || this.measure.Sketching;
+	}
+	
+	/**
+	 * Get the features of the active layers rendered in the current view
+	 * @returns {array} list of map features
+	 */
+	VisibleFeatures() {
+		var layers = this.ActiveLayerIDs();
+		
+		return layers.length > 0 ? this.map.QueryRenderedFeatures(undefined, layers) : [];
+	}
+	
+	/**
+	 * List the features of the active layers rendered in the current view in the table
+	 */
+	RefreshTable() {
+		if (!this.table.Visible) return;
+		
+		this.table.Populate(this.VisibleFeatures());
+	}
+	
+	/**
+	 * Outline the feature selected in the table, the previous outline is removed
+	 */
+	DrawHighlight() {
+		var id = "table-highlight";
+		
+		this.map.RemoveLayer(id);
+		
+		if (!this.highlight) return;
+		
+		var layer = this.map.GetLayer(this.highlight.layer);
+		
+		if (!layer) return;
+		
+		this.map.AddLayer({
+			id : id,
+			type : "line",
+			source : layer.source,
+			"source-layer" : layer.sourceLayer,
+			filter : ["==", ["get", this.config.attributes.field], this.highlight.id],
+			paint : {
+				"line-color" : `rgba(${this.config.attributes.color.join(",")})`,
+				"line-width" : 3
+			}
+		});
+	}
+	
+	/**
+	 * Outline the feature under the pointer, the previous outline is removed
+	 */
+	DrawHover() {
+		var id = "hover-highlight";
+		
+		this.map.RemoveLayer(id);
+		
+		if (!this.hovered || !this.current.Hover.id) return;
+		
+		var layer = this.map.GetLayer(this.hovered.layer);
+		
+		if (!layer) return;
+		
+		this.map.AddLayer({
+			id : id,
+			type : "line",
+			source : layer.source,
+			"source-layer" : layer.sourceLayer,
+			filter : ["==", ["get", this.current.Hover.id], this.hovered.id],
+			paint : {
+				"line-color" : `rgba(${this.current.Hover.color.join(",")})`,
+				"line-width" : 2
+			}
+		});
+	}
+	
+	/**
+	 * Remove the hover tooltip and outline
+	 */
+	ClearHover() {
+		this.tooltip.Hide();
+		
+		if (!this.hovered) return;
+		
+		this.hovered = null;
+		
+		this.DrawHover();
+	}
+	
+	/**
+	 * Get the id of a feature, features are selected by id
+	 * @param {object} feature - a map feature
+	 * @returns {string|number} the id of the feature, undefined if it doesn't have one
+	 */
+	FeatureId(feature) {
+		return feature.properties[this.config.attributes.field];
+	}
+	
+	/**
+	 * Keep the properties of features being selected, for the aggregate panel
+	 * @param {array} features - list of map features
+	 */
+	KeepSelected(features) {
+		features.forEach(f => this.selected[`${f.layer.id}/${this.FeatureId(f)}`] = f.properties);
+	}
+	
+	/**
+	 * List the selected features and their totals in the aggregate panel. Features
+	 * restored from the last session are found in the loaded tiles.
+	 */
+	UpdateAggregate() {
+		var config = this.current.Aggregate;
+		var selection = this.map.Selection;
+		
+		if (!config || !selection) {
+			this.selected = {};
+			this.aggregate.Update([], null, []);
+			
+			return;
+		}
+		
+		var key = id => `${selection.layer}/${id}`;
+		
+		if (selection.ids.some(id => !this.selected[key(id)])) {
+			this.KeepSelected(this.map.QueryLayerSourceFeatures(selection.layer).filter(f => selection.ids.indexOf(this.FeatureId(f)) > -1));
+		}
+		
+		var items = selection.ids.map(id => {
+			var properties = this.selected[key(id)] || null;
+			
+			return { id:id, name:properties && properties[config.name], properties:properties };
+		});
+		
+		this.aggregate.Update(items, config.fields, this.current.Fields);
+	}
+	
+	/**
+	 * Summarize the features of the active layers inside the drawn shape. Features are
+	 * found in the loaded tiles, they either count fully when they are within the shape
+	 * or are weighted by the share of their area inside it, depending on the method.
+	 */
+	SummarizeSketch() {
+		var shape = this.draw.Geometry;
+		
+		if (!shape || shape.type != "Polygon") return;
+		
+		var ring = shape.coordinates[0];
+		var bounds = Geometry.Bounds([shape]);
+		var weighted = this.draw.Method == "weighted";
+		var features = this.ActiveLayerIDs().reduce((f, l) => f.concat(this.map.QueryLayerSourceFeatures(l)), []);
+		var items = Features.Collect(features, this.config.attributes.field, this.current.Fields);
+		
+		items = items.filter(i => {
+			var b = Geometry.Bounds(i.geometries);
+			
+			if (!b || b[0][0] > bounds[1][0] || b[1][0] < bounds[0][0] || b[0][1] > bounds[1][1] || b[1][1] < bounds[0][1]) return false;
+			
+			if (weighted) {
+				var area = Geometry.Area(i.geometries);
+				
+				i.weight = area > 0 ? Math.min(1, Geometry.IntersectionArea(ring, i.geometries) / area) : 0;
+			}
+			
+			else i.weight = Geometry.Within(ring, i.geometries) ? 1 : 0;
+			
+			return i.weight > 0;
+		});
+		
+		this.sketched = items;
+		
+		this.draw.Update(items, this.current.Aggregate ? this.current.Aggregate.fields : [], this.current.Fields);
+	}
+	
+	/**
+	 * Get the graduated classification of a map, if its legend defines one
+	 * @param {object} map - the map configuration
+	 * @returns {object} a Classification object, null if the legend isn't graduated
+	 */
+	GetClassification(map) {
+		return map.Classification ? new Classification(map.Classification) : null;
+	}
+	
+	/**
+	 * Get the legend items of the current map, followed by the classes of the graduated
+	 * classification if there is one
+	 * @returns {array} list of legend items
+	 */
+	LegendConfig() {
+		var legend = this.current.Legend || [];
+		
+		if (!this.classification) return legend;
+		
+		return legend.concat(this.classification.LegendItems());
+	}
+	
+	/**
+	 * Compute the graduated classes from the features loaded for the active TOC layer, once
+	 * per layer, then update the legend and the map layers if the classes changed.
+	 */
+	Reclassify() {
+		if (!this.classification) return;
+		
+		var features = this.map.QueryLayerSourceFeatures(Store.Layer);
+		
+		if (!this.classification.Update(features, Store.Layer)) return;
+		
+		var state = this.group.legend.GetState();
+		
+		this.group.legend.Reload(this.LegendConfig(), this.current.Title, null, this.current.Subtitle);
+		
+		if (state.length == this.group.legend.chkBoxesState.length) this.group.legend.SetState(state);
+		
+		this.UpdateMapState();
+	}
+	
+	/**
+	 * Get the state of the map for the current map, layer, legend and opacity. The map
+	 * applies it again after every style change, see Map.SetState.
+	 * @returns {object} the state of the map
+	 */
+	MapState() {
+		var layers = this.current.LayerIDs;
+		var toc = (this.current.TOC || []).map(t => t.id);
+		
+		return {
+			visible : this.current.HasLayer(Store.Layer) ? [Store.Layer] : [],
+			hidden : toc.filter(l => l != Store.Layer),
+			legend : { layers:layers, legend:this.group.legend, opacity:Store.Opacity },
+			clickable : layers,
+			hoverable : this.current.Hover ? layers : [],
+			boxSelectable : this.current.Selection ? layers : [],
+			selection : this.current.Selection && Util.Mixin({ field:this.config.attributes.field }, this.current.Selection)
+		};
+	}
+	
+	/**
+	 * Apply the state of the current map, layer, legend and opacity to the map
+	 */
+	UpdateMapState() {
+		this.map.SetState(this.MapState());
+	}
+	
+	/**
+	 * Show another map, the legend, TOC, drill down and table are reloaded for it
+	 * @param {string} id - the id of the map configuration
+	 */
+	SwitchMap(id) {
+		this.legendStates[this.current.ID] = this.group.legend.GetState();
+		
+		this.previous = this.current.ID;
+		
+		Store.Map = id;
+		
+		this.current = this.config.maps[id];
+		
+		this.classification = this.GetClassification(this.current);
+		
+		this.group.legend.Reload(this.LegendConfig(), this.current.Title, null, this.current.Subtitle);
+		
+		if (this.legendStates[this.current.ID]) this.group.legend.SetState(this.legendStates[this.current.ID]);
+		
+		this.group.toc.Reload(this.current.TOC, Store.Layer);
+		
+		this.drill.Reload(this.current.Hierarchy, Store.Layer);
+		
+		if (this.current.HasLayer(Store.Layer)) this.group.toc.SelectItem(Store.Layer);
+		
+		Dom.ToggleClass(this.group.toc.Node("root"), "hidden", !this.current.TOC);
+		
+		this.highlight = null;
+		
+		this.map.ClearSelection();
+		
+		// The state is applied once the new style is loaded
+		this.map.SetStyle(this.current.Style);
+		
+		this.UpdateMapState();
+		
+		// The drawn shape summarizes the layers of the previous map
+		this.draw.Clear();
+		
+		this.table.Reload(this.current.Fields);
+		
+		this.UpdateUrl();
+	}
+	
+	/**
+	 * Highlight a search item on the map, the previous highlight is removed. Items of
+	 * indexes with a highlight layer are painted on it, other items are outlined on the
+	 * layer of their level.
+	 * @param {object} item - the search item, null to only remove the previous highlight
+	 */
+	HighlightSearchItem(item) {
+		var id = "search-highlight";
+		var index = item && this.searchIndexes.filter(i => i.id == item.index)[0];
+		var level = index ? index.level : item && item.level;
+		var field = this.config.search.field;
+		var color = this.config.search.color;
+		
+		this.map.RemoveLayer(id);
+		
+		this.searchIndexes.filter(i => i.layer).forEach(i => {
+			var none = { color : [255, 255, 255, 0] };
+			var legend = { config: [none] };
+			
+			if (index && index.layer == i.layer) legend.config = [{ color : color, value : ["==", ["get", field], item.id] }, none];
+			
+			this.map.ApplyLegendStylesToMapLayers([i.layer], legend);
+		});
+		
+		// Items found by id have a level but no index
+		if (!level || (index && index.layer)) return;
+		
+		var layer = this.map.GetLayer(level);
+		
+		if (!layer) return;
+		
+		this.map.AddLayer({
+			id : id,
+			type : "line",
+			source : layer.source,
+			"source-layer" : layer.sourceLayer,
+			filter : ["==", ["to-string", ["get", field]], String(item.id)],
+			paint : {
+				"line-color" : `rgba(${color.join(",")})`,
+				"line-width" : 3
+			}
+		});
+	}
+	
+	/**
+	 * Show the layer of a level, if it's a layer of the current map's TOC
+	 * @param {string} level - the id of the layer
+	 */
+	ShowLevel(level) {
+		if (!level || !this.current.TOC || !this.current.HasLayer(level) || level == Store.Layer) return;
+		
+		this.drill.Truncate(level);
+		
+		this.ApplyDrillFilters();
+		this.SelectLayer(level);
+	}
+	
+	/**
+	 * Fly to a position and mark it, the features of the active layers under it are shown in a popup
+	 * @param {array} position - the [lng, lat] position
+	 */
+	GoToPosition(position) {
+		this.marker = this.map.AddMarker(position);
+		
+		this.map.FlyTo(position, Math.max(this.map.Zoom, 12)).then(() => this.map.WhenIdle()).then(() => {
+			var layers = this.ActiveLayerIDs();
+			var features = layers.length > 0 ? this.map.QueryRenderedFeatures(this.map.Project(position), layers) : [];
+			
+			// The popup is offset so the marker stays visible
+			if (features.length > 0) this.FeaturePopup(features[0], position, 38);
+		});
+	}
+	
+	/**
+	 * Find a feature by id on the layer of its level, then zoom to it and highlight it. When
+	 * the feature isn't loaded, the map zooms to the search items sharing the prefix of
+	 * the id (e.g. the census division of a dissemination area) and looks again.
+	 * @param {object} item - the suggested search item, { id, level, label }
+	 */
+	FindFeature(item) {
+		var field = this.config.search.field;
+		var pattern = this.searchPatterns.filter(p => p.level == item.level)[0];
+		var prefix = pattern && pattern.prefix ? item.id.slice(0, pattern.prefix) : null;
+		var find = () => this.map.QueryLayerSourceFeatures(item.level).filter(f => String(f.properties[field]) == item.id);
+		
+		this.ShowLevel(item.level);
+		
+		var found = find();
+		
+		if (found.length > 0 || !prefix) return this.ShowFoundFeature(item, found);
+		
+		// Items sharing the prefix may be in a shard, it's loaded before zooming to them
+		this.search.Load(prefix).then(() => {
+			var parents = this.search.searchItems.filter(i => i.id.indexOf(prefix) == 0);
+			
+			if (parents.length == 0) return this.ShowFoundFeature(item, []);
+			
+			var extent = parents.reduce((e, i) => [
+				[Math.min(e[0][0], i.extent[0][0]), Math.min(e[0][1], i.extent[0][1])],
+				[Math.max(e[1][0], i.extent[1][0]), Math.max(e[1][1], i.extent[1][1])]
+			], [[Infinity, Infinity], [-Infinity, -Infinity]]);
+			
+			this.map.Once("Idle", ev => this.ShowFoundFeature(item, find()));
+			
+			this.map.FitBounds(extent, { padding:30, animate:false });
+		});
+	}
+	
+	/**
+	 * Zoom to the feature found for an id and highlight it
+	 * @param {object} item - the suggested search item, { id, level, label }
+	 * @param {array} features - the parts of the feature loaded in the tiles, empty if it wasn't found
+	 */
+	ShowFoundFeature(item, features) {
+		if (features.length == 0) return this.map.InfoPopup(this.map.Center, Core.Nls("Search_Not_Found", [item.id]));
+		
+		// Features split across tiles are returned once per tile, their bounds cover the whole feature
+		var extent = Geometry.Bounds(features.map(f => f.geometry));
+		
+		this.searchItem = { id:item.id, level:item.level, label:item.label, extent:extent };
+		
+		this.HighlightSearchItem(this.searchItem);
+		
+		this.map.FitBounds(extent, { padding:30, animate:false });
+		
+		this.UpdateUrl();
+	}
+	
+	/**
+	 * Show the fields of a feature in a popup, with buttons to drill down or roll up from its layer
+	 * @param {object} feature - the map feature
+	 * @param {object} lngLat - the coordinates of the popup
+	 * @param {number} offset - (optional) the distance between the popup tip and the coordinates, in pixels
+	 */
+	FeaturePopup(feature, lngLat, offset) {
+		var properties = Polish.Fields(feature.properties, this.current.Fields);
+		
+		properties = Format.Fields(properties, this.current.Fields);
+		
+		var html = Other.HTMLize(properties, this.current.Fields, Core.Nls("Map_Not_Available"));
+		var content = Dom.Create("div", { innerHTML:html });
+		var layer = feature.layer.id;
+		var next = this.drill.Next(layer);
+		var previous = this.drill.Previous(layer);
+		var popup;
+		
+		if (next || previous) {
+			var actions = Dom.Create("div", { className:"popup-actions" }, content);
+			var action = (label, handler) => {
+				var btn = Dom.Create("button", { type:"button", textContent:label }, actions);
+				
+				btn.addEventListener("click", ev => {
+					popup.remove();
+					
+					handler();
+				});
+			}
+			
+			if (next) action(Core.Nls("Drill_Down", [next.label]), this.DrillDown.bind(this, layer, feature.properties));
+			
+			if (previous) action(Core.Nls("Drill_Up", [previous.label]), this.RollUp.bind(this, layer));
+		}
+		
+		popup = this.map.InfoPopup(lngLat, content, offset);
 	}
 	
 	AddMenu() {
 		// Top-left menu below navigation
 		var list = Factory.MapsListControl(this.config.maps, Core.Nls("Maps_Header"));
-		var bookmarks = Factory.BookmarksControl(this.config.bookmarks, Core.Nls("Bookmarks_Header"), Core.Nls("Bookmarks_Description"));
 		
 		this.menu = Factory.MenuControl();
 		
@@ -118,15 +948,44 @@ export default class PopApp {
 		
 		this.menu.AddButton("home", "assets/globe.png", Core.Nls("Home_Title"), this.OnHomeClick_Handler.bind(this));
 		this.menu.AddPopupButton("maps", "assets/layers.png", Core.Nls("Maps_Title"), list, this.map.Container);
-		this.menu.AddPopupButton("bookmarks", "assets/bookmarks.png", Core.Nls("Bookmarks_Title"), bookmarks, this.map.Container);
+		
+		// The bookmarks menu is only shown when there are bookmarks
+		if (this.config.bookmarks) {
+			var bookmarks = Factory.BookmarksControl(this.config.bookmarks, Core.Nls("Bookmarks_Header"), Core.Nls("Bookmarks_Description"));
+			
+			this.menu.AddPopupButton("bookmarks", "assets/bookmarks.png", Core.Nls("Bookmarks_Title"), bookmarks, this.map.Container);
+			
+			bookmarks.On("BookmarkSelected", this.OnBookmarkSelected_Handler.bind(this));
+		}
+		
+		this.menu.AddButton("table", "assets/table.png", Core.Nls("Table_Title"), this.OnTableClick_Handler.bind(this));
+		this.menu.AddButton("draw", "assets/draw.png", Core.Nls("Draw_Menu_Title"), this.OnDrawClick_Handler.bind(this));
+		this.menu.AddButton("measure", "assets/measure.png", Core.Nls("Measure_Menu_Title"), this.OnMeasureClick_Handler.bind(this));
+		this.menu.AddButton("compare", "assets/compare.png", Core.Nls("Compare_Title"), this.OnCompareClick_Handler.bind(this));
+		this.menu.AddButton("print", "assets/print.png", Core.Nls("Print_Title"), this.OnPrintClick_Handler.bind(this));
 		
 		list.On("MapSelected", this.OnListSelected_Handler.bind(this));
-		bookmarks.On("BookmarkSelected", this.OnBookmarkSelected_Handler.bind(this));
+	}
+	
+	OnBasemap_Changed(ev) {
+		Store.Basemap = ev.basemap;
+		
+		this.ApplyBasemap();
 	}
 	
 	OnOpacitySlider_Changed(ev) {		
 		Store.Opacity = ev.opacity;
-		this.map.UpdateMapLayersWithLegendState(this.current.LayerIDs, this.group.legend, Store.Opacity);
+		this.UpdateMapState();
+		
+		if (this.compare.Visible) this.compare.UpdateLegendState();
+		
+		this.UpdateUrl();
+	}
+	
+	OnLegend_Changed(ev) {
+		this.UpdateMapState();
+		
+		this.UpdateUrl();
 	}
 	
 	OnHomeClick_Handler(ev) {
@@ -142,73 +1001,315 @@ export default class PopApp {
 	OnListSelected_Handler(ev) {
 		this.menu.Button("maps").popup.Hide();
 		
-		Store.Map = ev.id;
-
-		// TODO : Check if SetStyle counts as a map load, if it does, we need to reset layer visibility and paint
-		// properties instead of setting the style. If it doesn't we're good as is.
-		this.map.SetStyle(ev.map.Style);
-		
-		this.current = ev.map;
-		
-		this.group.legend.Reload(this.current.Legend, this.current.Title, this.current.Subtitle);
-		this.group.toc.Reload(this.current.TOC, Store.Layer);
-		
-		if (this.current.HasLayer(Store.Layer)) this.group.toc.SelectItem(Store.Layer);
-		
-		Dom.ToggleClass(this.group.toc.Node("root"), "hidden", !this.current.TOC);
+		this.SwitchMap(ev.id);
 	}
 	
 	OnTOC_LayerVisibility(ev) {
-		this.map.ToggleMapLayerVisibility(Store.Layer);
-				
-		Store.Layer = ev.layer;
+		this.drill.Truncate(ev.layer);
+		
+		this.ApplyDrillFilters();
+		this.SelectLayer(ev.layer);
+	}
+	
+	OnDrillSelect_Handler(ev) {
+		this.ApplyDrillFilters();
+		this.SelectLayer(ev.layer);
 		
-		this.map.ToggleMapLayerVisibility(Store.Layer);
+		if (ev.bounds) this.map.FitBounds(ev.bounds, { padding:30 });
 	}
 	
 	OnMapStyleChanged_Handler(ev) {
-		// TODO : Issue here, this.config.TOC doesn't meant the layer is available
-		if (this.current.HasLayer(Store.Layer)){
-			this.map.ToggleMapLayerVisibility(Store.Layer);
-		}
+		// Layer visibility, paint, interactive layers and selection were applied by the map, from its state
 		
-		this.map.SetClickableLayers(this.current.LayerIDs);
-
-		// Update styling colour and opacity of layers
-		this.map.ApplyLegendStylesToMapLayers(this.current.LayerIDs, this.group.legend);
-		this.map.UpdateMapLayersWithLegendState(this.current.LayerIDs, this.group.legend, Store.Opacity)
+		// The basemap layers were removed with the style
+		this.ApplyBasemap();
+		
+		// The hover outline was removed with the style
+		this.hovered = null;
+		this.tooltip.Hide();
+		
+		// Filters are reset with the style, drill down filters are added again
+		this.StoreBaseFilters();
+		this.ApplyDrillFilters();
+		
+		if (this.searchItem) this.HighlightSearchItem(this.searchItem);
+		
+		this.DrawHighlight();
+		this.RefreshTable();
+	}
+	
+	OnMapStyleError_Handler(ev) {
+		console.error(ev.error);
+		
+		var previous = this.previous;
+		
+		// The previous map is shown again, unless it's the one that failed, so failures don't loop
+		this.previous = null;
+		
+		if (!previous || previous == this.current.ID) return;
+		
+		this.SwitchMap(previous);
+		
+		this.previous = null;
 	}
 	
 	OnMapMoveEnd_Handler(ev) {		
 		Store.Lat = this.map.Center.lat;
 		Store.Lng = this.map.Center.lng;
+		
+		this.RefreshTable();
+		
+		this.UpdateUrl();
 	}
 	
 	OnMapZoomEnd_Handler(ev) { 		
 		Store.Zoom = this.map.Zoom;
 	}
 	
+	OnMapIdle_Handler(ev) {
+		this.Reclassify();
+		
+		// Tiles may finish loading after the map stopped moving
+		this.RefreshTable();
+		
+		if (this.map.Selection) this.UpdateAggregate();
+	}
+	
+	OnMapHover_Handler(ev) {
+		var hover = this.current.Hover;
+		var feature = ev.features[0];
+		
+		if (!hover || !feature || this.IsSketching()) {
+			this.ClearHover();
+			
+			return;
+		}
+		
+		var id = hover.id && feature.properties[hover.id];
+		
+		if (!this.hovered || this.hovered.layer != feature.layer.id || this.hovered.id != id) {
+			this.hovered = { layer:feature.layer.id, id:id };
+			
+			this.DrawHover();
+		}
+		
+		var properties = Format.Fields(Polish.Fields(feature.properties, this.current.Fields), this.current.Fields);
+		var field = this.current.Fields.filter(f => f.id == hover.field)[0];
+		var value = properties[hover.field];
+		
+		if (value === null || value === undefined || value === "") value = Core.Nls("Map_Not_Available");
+		
+		this.tooltip.Empty();
+		
+		if (hover.title) Dom.Create("div", { className:"tooltip-title", textContent:properties[hover.title] }, this.tooltip.Node("content"));
+		
+		if (field) Dom.Create("div", { textContent:Core.Nls("Gen_Label_Field", [field.label, value]) }, this.tooltip.Node("content"));
+		
+		this.tooltip.Show(ev.point.x + 15, ev.point.y + 15);
+	}
+	
+	OnMapHoverOut_Handler(ev) {
+		this.ClearHover();
+	}
+	
+	OnMapSelectionChanged_Handler(ev) {
+		var s = ev.selection;
+		
+		Store.Selection = s && { map:this.current.ID, layer:s.layer, ids:s.ids };
+		
+		this.UpdateAggregate();
+	}
+	
+	OnMapBoxSelect_Handler(ev) {
+		var features = ev.features.filter(f => this.FeatureId(f) !== undefined && this.FeatureId(f) !== null);
+		
+		if (features.length == 0) return;
+		
+		this.KeepSelected(features);
+		
+		this.map.AddToSelection(features[0].layer.id, features.map(f => this.FeatureId(f)));
+	}
+	
+	OnExport_Handler(ev) {
+		var items = Features.Collect(this.VisibleFeatures(), this.config.attributes.field, this.current.Fields);
+		var name = this.ExportName();
+		
+		if (ev.format == "csv") Net.Download(`${name}.csv`, Export.ToCSV(items, this.current.Fields));
+		
+		else if (ev.format == "geojson") Net.Download(`${name}.geojson`, Export.ToGeoJSON(items));
+	}
+	
+	OnDrawExport_Handler(ev) {
+		if (!this.sketched) return;
+		
+		var ids = this.current.Aggregate ? this.current.Aggregate.fields : [];
+		var fields = this.current.Fields.concat([{ id:"weight", label:Core.Nls("Draw_Weight") }]);
+		var totals = Draw.Totals(this.sketched, ids, this.current.Fields);
+		
+		totals[this.current.Fields[0].id] = Core.Nls("Draw_Total");
+		totals.weight = this.sketched.reduce((a, i) => a + i.weight, 0);
+		
+		var rows = this.sketched.map(i => {
+			return { values:Util.Mixin({ weight:Math.round(i.weight * 10000) / 10000 }, i.values) };
+		});
+		
+		Net.Download(`${this.ExportName()}-draw.csv`, Export.ToCSV(rows.concat([{ values:totals }]), fields));
+	}
+	
+	OnSnapshot_Handler(ev) {
+		var text = html => Dom.Create("div", { innerHTML:html || "" }).textContent;
+		var checked = this.group.legend.chkBoxesState.filter(s => s.checkbox.checked);
+		
+		// Length of a screen pixel in metres at the center of the map, map tiles are 512 pixels wide
+		var scale = 40075016.686 * Math.cos(this.map.Center.lat * Math.PI / 180) / (512 * Math.pow(2, this.map.Zoom));
+		
+		var options = {
+			title : text(this.current.Title),
+			subtitle : text(this.current.Subtitle),
+			legend : checked.map(s => { return { label:text(s.item.label), color:s.item.color }; }),
+			scale : scale,
+			attribution : this.map.Attribution,
+			date : new Date()
+		}
+		
+		this.group.snapshot.SetBusy(true);
+		
+		this.map.Snapshot(ev.ratio).then(canvas => {
+			Snapshot.Compose(canvas, ev.ratio, options).toBlob(blob => {
+				Net.Download(`${this.ExportName()}.png`, blob);
+				
+				this.group.snapshot.SetBusy(false);
+			}, "image/png");
+		}, error => {
+			console.error(error);
+			
+			this.group.snapshot.SetBusy(false);
+		});
+	}
+	
+	OnPrintClick_Handler(ev) {
+		// The print layout shows the main map only
+		if (this.compare.Visible) this.compare.Leave();
+		
+		this.print.Enter(this.map.Container, {
+			title : this.current.Title,
+			description : this.current.Description,
+			legend : this.group.legend.Node("root"),
+			bearing : this.map.Bearing
+		});
+		
+		this.map.Resize();
+	}
+	
+	OnPrintLayout_Changed(ev) {
+		this.map.Resize();
+	}
+	
+	OnPrint_Handler(ev) {
+		// Print an image of the map, browsers often print map canvases blank
+		this.map.WhenIdle().then(() => this.map.Snapshot(2)).then(canvas => {
+			return this.print.SetImage(canvas);
+		}).then(() => window.print(), error => console.error(error));
+	}
+	
+	OnPrintClose_Handler(ev) {
+		this.print.Leave();
+		
+		this.map.Resize();
+	}
+	
+	OnDrawClick_Handler(ev) {
+		if (this.draw.Visible) this.draw.Hide();
+		
+		else {
+			// Both tools draw with map clicks, only one is shown at a time
+			this.measure.Hide();
+			this.draw.Show();
+		}
+	}
+	
+	OnMeasureClick_Handler(ev) {
+		if (this.measure.Visible) this.measure.Hide();
+		
+		else {
+			this.draw.Hide();
+			this.measure.Show();
+		}
+	}
+	
+	OnCompareClick_Handler(ev) {
+		if (this.compare.Visible) return this.compare.Leave();
+		
+		// The second map shows another map than the main map, if there is one
+		var ids = Object.keys(this.config.maps);
+		var id = ids.filter(id => id != this.current.ID)[0] || this.current.ID;
+		
+		this.compare.Enter(this.map, id, Store.Layer);
+	}
+	
+	OnCompareClose_Handler(ev) {
+		this.compare.Leave();
+	}
+	
+	OnTableClick_Handler(ev) {
+		if (this.table.Visible) this.table.Hide();
+		
+		else {
+			this.table.Show();
+			
+			this.RefreshTable();
+		}
+	}
+	
+	OnTableRowSelected_Handler(ev) {
+		this.highlight = ev.item;
+		
+		this.DrawHighlight();
+		
+		var bounds = Geometry.Bounds(ev.item.geometries);
+		
+		if (bounds) this.map.FitBounds(bounds, { padding:30, animate:false });
+	}
+	
 	OnMapClick_Handler(ev) {
-		if (ev.features.length == 0) return;
+		// Clicks add vertices to the shape being drawn
+		if (ev.features.length == 0 || this.IsSketching()) return;
+		
+		var layer = ev.features[0].layer.id;
+		
+		if (this.current.Selection) this.KeepSelected([ev.features[0]]);
+		
+		// Shift-click adds the feature to the selection or removes it, without a popup
+		if (this.current.Selection && ev.originalEvent.shiftKey) {
+			this.map.ToggleSelection(layer, this.FeatureId(ev.features[0]));
+			
+			return;
+		}
 		
-		var html = Other.HTMLize(ev.features[0].properties, this.current.Fields, Core.Nls("Map_Not_Available"));
+		if (this.current.Selection) this.map.Select(layer, [this.FeatureId(ev.features[0])]);
 		
-		this.map.InfoPopup(ev.lngLat, html);
+		this.FeaturePopup(ev.features[0], ev.lngLat);
 	}
 	
-	OnSearchChange_Handler(ev) {		
-		var legend = {
-			config: [
-				{
-					color : this.config.search.color,
-					value : ["==", ["get", this.config.search.field], ev.item.id]
-				},
-				{
-					color : [255, 255, 255, 0]
-				}
-			]
-		};
-		this.map.ApplyLegendStylesToMapLayers([this.config.search.layer], legend);
+	OnSearchChange_Handler(ev) {
+		if (this.marker) this.marker.remove();
+		
+		this.marker = null;
+		
+		if (ev.item.type == "position") return this.GoToPosition(ev.item.position);
+		
+		if (ev.item.type == "id") return this.FindFeature(ev.item);
+		
+		var index = this.searchIndexes.filter(i => i.id == ev.item.index)[0];
+		
+		this.searchItem = ev.item;
+		
+		this.ShowLevel(index && index.level);
+		
+		this.HighlightSearchItem(ev.item);
+		
 		this.map.FitBounds(ev.item.extent, { padding:30, animate:false });
+		
+		this.UpdateUrl();
 	}
-}
\ No newline at end of file
+}
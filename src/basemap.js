@@ -0,0 +1,40 @@
+import { Dom, Control } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * Basemap class, a control to choose the basemap shown under the thematic layers
+ * @class
+ */
+export default class Basemap extends Control {
+
+	/**
+	 * Get the id of the chosen basemap
+	 * @returns {string} the basemap id
+	 */
+	get Value() {
+		return this.Node("basemaps").value;
+	}
+
+	/**
+	 * @param {object} options - the control options, where;
+	 *		basemaps is the list of basemaps, { id, label },
+	 *		selected is the id of the chosen basemap
+	 */
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		options.basemaps.forEach(b => Dom.Create("option", { value:b.id, innerHTML:b.label }, this.Node("basemaps")));
+
+		if (options.selected) this.Node("basemaps").value = options.selected;
+
+		this.Node("basemaps").addEventListener("change", ev => this.Emit("BasemapChanged", { basemap:this.Value }));
+	}
+
+	Template() {
+		return "<div handle='root' class='basemap mapboxgl-ctrl'>" +
+					"<label class='control-label' for='basemap-select'>nls(Basemap_Label)</label>" +
+					"<select handle='basemaps' id='basemap-select' title='nls(Basemap_Title)'></select>" +
+				"</div>";
+	}
+}
@@ -0,0 +1,292 @@
+import { Core } from './web-mapping-components/web-mapping-components.js';
+
+import Polish from "./polish.js";
+import Format from "./format.js";
+
+/**
+ * Classification class, builds the classes of a graduated legend from the features
+ * loaded on the map. The classes are computed once for each TOC layer, so they don't
+ * change as the map is panned. The classification is defined in the legend of a map config
+ * file as follows:
+ *
+ * "graduated": {
+ * 		"polish": ["/", "population", "buildings"], <- or "field": "population"
+ * 		"method": "jenks", <- quantile, equal-interval, jenks or manual
+ * 		"classes": 5,
+ * 		"breaks": [1.5, 3, 7, 20], <- required by the manual method only
+ * 		"colors": [[255, 255, 204], [37, 52, 148]],
+ * 		"precision": 1
+ * }
+ * @class
+ */
+export default class Classification {
+
+	/**
+	 * Get the map style expression used to compute the classified value
+	 * @returns {array} map style expression
+	 */
+	get Expression() {
+		return Polish.ToExpression(this.polish || this.field);
+	}
+
+	constructor(config) {
+		this.field = config.field || null;
+		this.polish = config.polish || null;
+		this.method = config.method || "quantile";
+		this.colors = config.colors;
+		this.classes = config.classes || config.colors.length;
+		this.precision = config.precision === undefined ? 2 : config.precision;
+
+		// Manual breaks don't depend on the features, they are available right away
+		this.breaks = this.method == "manual" ? config.breaks.map(b => this.Round(b)) : null;
+
+		// The layer the breaks were computed for
+		this.layer = null;
+	}
+
+	/**
+	 * Compute the class breaks from the features of a layer, unless they were already
+	 * computed for that layer
+	 * @param {array} features - the features loaded on the map
+	 * @param {string} layer - the id of the layer of the features
+	 * @returns {boolean} true if the class breaks changed, false otherwise
+	 */
+	Update(features, layer) {
+		if (this.method == "manual" || (this.breaks && this.layer == layer)) return false;
+
+		var breaks = this.Breaks(this.Values(features));
+
+		if (!breaks) return false;
+
+		this.layer = layer;
+
+		if (this.breaks && breaks.join(",") == this.breaks.join(",")) return false;
+
+		this.breaks = breaks;
+
+		return true;
+	}
+
+	/**
+	 * Get the classified value of each feature. Features split across tiles are only
+	 * counted once and features without a valid value are ignored.
+	 * @param {array} features - the features loaded on the map
+	 * @returns {array} the sorted list of values
+	 */
+	Values(features) {
+		var exp = this.polish || this.field;
+		var values = [];
+		var seen = {};
+
+		features.forEach(f => {
+			var key = f.id !== undefined ? f.id : JSON.stringify(f.properties);
+
+			if (seen[key]) return;
+
+			seen[key] = true;
+
+			var v = Polish.Evaluate(exp, f.properties);
+
+			if (v !== null) values.push(v);
+		});
+
+		return values.sort((a, b) => a - b);
+	}
+
+	/**
+	 * Compute the class breaks for a sorted list of values. A break is the lower bound
+	 * of a class, the first class has no break.
+	 * @param {array} values - the sorted list of values
+	 * @returns {array} the class breaks, null if there are no values
+	 */
+	Breaks(values) {
+		if (values.length == 0) return null;
+
+		var breaks;
+
+		if (this.method == "equal-interval") breaks = Classification.EqualInterval(values, this.classes);
+
+		else if (this.method == "jenks") breaks = Classification.Jenks(values, this.classes);
+
+		else breaks = Classification.Quantile(values, this.classes);
+
+		breaks = breaks.map(b => this.Round(b));
+
+		// Remove duplicate breaks and breaks that would leave the first class empty
+		return breaks.filter((b, i) => b > values[0] && breaks.indexOf(b) == i);
+	}
+
+	/**
+	 * Round a value to the precision of the classification
+	 * @param {number} value - the value to round
+	 * @returns {number} the rounded value
+	 */
+	Round(value) {
+		return Number(value.toFixed(this.precision));
+	}
+
+	/**
+	 * Build the legend items for the current class breaks. Each item has the step of its
+	 * class, used to build the colour expression of the map layers (see generateColourExpression).
+	 * @returns {array} list of legend items, empty if the breaks are not computed yet
+	 */
+	LegendItems() {
+		if (!this.breaks) return [];
+
+		var breaks = this.breaks;
+		var exp = this.Expression;
+		var colors = Classification.Ramp(this.colors, breaks.length + 1);
+		var labels = breaks.map(b => Format.Number(b, this.precision));
+
+		return colors.map((c, i) => {
+			var item = { color:c, step:{ expression:exp } };
+
+			if (i > 0) item.step.min = breaks[i - 1];
+
+			if (i < breaks.length) item.value = ["<", exp, breaks[i]];
+
+			if (breaks.length == 0) item.label = Core.Nls("Legend_Class_All");
+
+			else if (i == 0) item.label = Core.Nls("Legend_Class_Below", [labels[0]]);
+
+			else if (i == breaks.length) item.label = Core.Nls("Legend_Class_Above", [labels[i - 1]]);
+
+			else item.label = Core.Nls("Legend_Class_Between", [labels[i - 1], labels[i]]);
+
+			return item;
+		});
+	}
+
+	/**
+	 * Quantile classification, each class contains the same number of values
+	 * @param {array} values - the sorted list of values
+	 * @param {number} n - the number of classes
+	 * @returns {array} the class breaks
+	 */
+	static Quantile(values, n) {
+		var breaks = [];
+
+		for (var i = 1; i < n; i++) {
+			breaks.push(values[Math.min(values.length - 1, Math.floor(i * values.length / n))]);
+		}
+
+		return breaks;
+	}
+
+	/**
+	 * Equal interval classification, each class covers the same range of values
+	 * @param {array} values - the sorted list of values
+	 * @param {number} n - the number of classes
+	 * @returns {array} the class breaks
+	 */
+	static EqualInterval(values, n) {
+		var min = values[0];
+		var step = (values[values.length - 1] - min) / n;
+		var breaks = [];
+
+		for (var i = 1; i < n; i++) breaks.push(min + i * step);
+
+		return breaks;
+	}
+
+	/**
+	 * Jenks natural breaks classification (Fisher-Jenks algorithm), minimizes the
+	 * variance within each class. Large lists of values are sampled to keep the
+	 * computation fast.
+	 * @param {array} values - the sorted list of values
+	 * @param {number} n - the number of classes
+	 * @returns {array} the class breaks
+	 */
+	static Jenks(values, n) {
+		var i, j, l, m;
+
+		if (values.length > 1000) {
+			var sample = [];
+
+			for (i = 0; i < 1000; i++) sample.push(values[Math.floor(i * values.length / 1000)]);
+
+			values = sample;
+		}
+
+		var len = values.length;
+
+		n = Math.min(n, len);
+
+		// lower[l][j] is the index (1 based) of the first value of class j, when the
+		// first l values are split in j classes. variance[l][j] is the total variance.
+		var lower = [];
+		var variance = [];
+
+		for (l = 0; l <= len; l++) {
+			lower.push([]);
+			variance.push([]);
+
+			for (j = 0; j <= n; j++) {
+				lower[l].push(l == 1 ? 1 : 0);
+				variance[l].push(l >= 2 ? Infinity : 0);
+			}
+		}
+
+		for (l = 2; l <= len; l++) {
+			var s1 = 0;
+			var s2 = 0;
+			var v = 0;
+
+			for (m = 1; m <= l; m++) {
+				var first = l - m + 1;
+				var value = values[first - 1];
+
+				s1 += value;
+				s2 += value * value;
+				v = s2 - (s1 * s1) / m;
+
+				if (first == 1) continue;
+
+				for (j = 2; j <= n; j++) {
+					if (variance[l][j] >= v + variance[first - 1][j - 1]) {
+						lower[l][j] = first;
+						variance[l][j] = v + variance[first - 1][j - 1];
+					}
+				}
+			}
+
+			lower[l][1] = 1;
+			variance[l][1] = v;
+		}
+
+		var breaks = [];
+		var k = len;
+
+		for (j = n; j >= 2; j--) {
+			breaks.unshift(values[lower[k][j] - 1]);
+
+			k = lower[k][j] - 1;
+		}
+
+		return breaks;
+	}
+
+	/**
+	 * Get a list of colours from a colour ramp, colours are interpolated when the
+	 * ramp doesn't have the requested number of colours.
+	 * @param {array} colors - the colour ramp, a list of rgb colours
+	 * @param {number} n - the number of colours to get
+	 * @returns {array} a list of n rgb colours
+	 */
+	static Ramp(colors, n) {
+		if (colors.length == n) return colors;
+
+		var ramp = [];
+
+		for (var i = 0; i < n; i++) {
+			var t = (n == 1) ? 0 : i * (colors.length - 1) / (n - 1);
+			var a = colors[Math.floor(t)];
+			var b = colors[Math.ceil(t)];
+			var f = t - Math.floor(t);
+
+			ramp.push(a.map((c, k) => k < 3 ? Math.round(c + (b[k] - c) * f) : c));
+		}
+
+		return ramp;
+	}
+}
@@ -0,0 +1,330 @@
+import { Dom, Factory, Store, Templated } from './web-mapping-components/web-mapping-components.js';
+
+import Classification from "./classification.js";
+
+/**
+ * Compare class, shows a second map next to the main map, or over it with a swipe
+ * divider. Both maps keep the same center and zoom. The second map has its own map,
+ * layer and legend selection, in a panel over the maps.
+ * @class
+ */
+export default class Compare extends Templated {
+
+	/**
+	 * Check if the compare mode is on
+	 * @returns {boolean} true if the maps are compared, false otherwise
+	 */
+	get Visible() {
+		return !Dom.HasClass(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Get the layout of the maps
+	 * @returns {string} "side" for side by side maps, "swipe" for the second map over the main map
+	 */
+	get Mode() {
+		return this.Node("mode").value;
+	}
+
+	/**
+	 * @param {object} container - the element containing the main map
+	 * @param {object} options - the compare options, where;
+	 *		maps is the dictionary of map configurations, by id,
+	 *		token is the access token used to load the map styles
+	 */
+	constructor(container, options) {
+		super(container, options);
+
+		this.maps = options.maps;
+		this.token = options.token;
+
+		this.main = null;
+		this.map = null;
+		this.current = null;
+		this.layer = null;
+		this.legend = null;
+		this.classification = null;
+
+		// Position of the swipe divider, as a share of the width of the maps
+		this.position = 0.5;
+
+		// True while a map is moved to follow the other, avoids moving them back and forth
+		this.syncing = false;
+
+		this.onMain_Move_Bound = this.OnMain_Move.bind(this);
+		this.onMap_Move_Bound = this.OnMap_Move.bind(this);
+		this.onMapStyleChanged_Bound = this.OnMapStyleChanged_Handler.bind(this);
+		this.onMapIdle_Bound = this.OnMapIdle_Handler.bind(this);
+		this.onDivider_Move_Bound = this.OnDivider_Move.bind(this);
+		this.onDivider_Up_Bound = this.OnDivider_Up.bind(this);
+
+		for (var id in this.maps) {
+			Dom.Create("option", { value:id, innerHTML:this.maps[id].Title }, this.Node("maps"));
+		}
+
+		this.Node("mode").addEventListener("change", ev => this.Layout());
+		this.Node("maps").addEventListener("change", this.OnMaps_Change.bind(this));
+		this.Node("layers").addEventListener("change", this.OnLayers_Change.bind(this));
+		this.Node("close").addEventListener("click", ev => this.Emit("Close", {}));
+		this.Node("divider").addEventListener("pointerdown", this.OnDivider_Down.bind(this));
+		this.Node("divider").addEventListener("keydown", this.OnDivider_KeyDown.bind(this));
+
+		Dom.AddClasses(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Show a second map next to the main map
+	 * @param {object} main - the main map, a Map object
+	 * @param {string} mapId - the id of the map configuration shown on the second map
+	 * @param {string} layerId - the id of the layer shown on the second map, for maps with a TOC
+	 */
+	Enter(main, mapId, layerId) {
+		this.main = main;
+
+		Dom.RemoveClass(this.Node("root"), "hidden");
+
+		this.map = Factory.Map(this.Node("map"), this.token, this.maps[mapId].Style, main.Center, main.Zoom);
+		this.map.View = main.View;
+
+		this.map.On("StyleChanged", this.onMapStyleChanged_Bound);
+		this.map.On("Idle", this.onMapIdle_Bound);
+		this.map.On("Move", this.onMap_Move_Bound);
+
+		this.main.On("Move", this.onMain_Move_Bound);
+
+		this.legend = Factory.LegendControl([], null);
+		this.legend.On("LegendChange", ev => this.UpdateLegendState());
+
+		Dom.Place(this.legend.Node("root"), this.Node("legend"));
+
+		this.Reload(mapId, layerId);
+		this.Layout();
+	}
+
+	/**
+	 * Remove the second map, the main map is shown alone
+	 */
+	Leave() {
+		this.main.Off("Move", this.onMain_Move_Bound);
+
+		this.map.Off("StyleChanged", this.onMapStyleChanged_Bound);
+		this.map.Off("Idle", this.onMapIdle_Bound);
+		this.map.Off("Move", this.onMap_Move_Bound);
+
+		this.map.Remove();
+
+		Dom.Empty(this.Node("legend"));
+		Dom.AddClasses(this.Node("root"), "hidden");
+		Dom.RemoveClass(document.body, "comparing-side");
+		Dom.RemoveClass(document.body, "comparing-swipe");
+
+		this.main.Resize();
+
+		this.main = null;
+		this.map = null;
+		this.legend = null;
+	}
+
+	/**
+	 * Set the map configuration of the second map, its style isn't changed
+	 * @param {string} mapId - the id of the map configuration
+	 * @param {string} layerId - the id of the layer to show, the first TOC layer is used if the map doesn't have it
+	 */
+	Reload(mapId, layerId) {
+		this.current = this.maps[mapId];
+		this.layer = null;
+
+		var toc = this.current.TOC || [];
+
+		Dom.Empty(this.Node("layers"));
+
+		toc.forEach(t => Dom.Create("option", { value:t.id, innerHTML:t.label }, this.Node("layers")));
+
+		if (toc.length > 0) this.layer = this.current.HasLayer(layerId) ? layerId : toc[0].id;
+
+		this.Node("maps").value = mapId;
+		this.Node("layers").value = this.layer;
+
+		Dom.ToggleClass(this.Node("layer"), "hidden", toc.length == 0);
+
+		this.classification = this.current.Classification ? new Classification(this.current.Classification) : null;
+
+		this.legend.Reload(this.LegendConfig(), this.current.Title, null, this.current.Subtitle);
+	}
+
+	/**
+	 * Get the legend items of the second map, followed by the classes of its graduated classification
+	 * @returns {array} list of legend items
+	 */
+	LegendConfig() {
+		var legend = this.current.Legend || [];
+
+		return this.classification ? legend.concat(this.classification.LegendItems()) : legend;
+	}
+
+	/**
+	 * Place the maps side by side or one over the other, following the selected mode
+	 */
+	Layout() {
+		var swipe = this.Mode == "swipe";
+
+		Dom.ToggleClass(document.body, "comparing-side", !swipe);
+		Dom.ToggleClass(document.body, "comparing-swipe", swipe);
+
+		this.Position();
+
+		this.main.Resize();
+		this.map.Resize();
+	}
+
+	/**
+	 * Move the swipe divider and clip the second map to its right
+	 */
+	Position() {
+		var swipe = this.Mode == "swipe";
+		var p = `${Math.round(this.position * 1000) / 10}%`;
+
+		// Only the canvas is clipped, so the controls of the main map stay visible
+		this.map.CanvasContainer.style.clipPath = swipe ? `inset(0 0 0 ${p})` : "";
+
+		this.Node("divider").style.left = p;
+		this.Node("divider").setAttribute("aria-valuenow", Math.round(this.position * 100));
+	}
+
+	/**
+	 * Show the selected layer of the second map, its other TOC layers are hidden
+	 */
+	ShowLayer() {
+		(this.current.TOC || []).forEach(t => {
+			if (t.id == this.layer) this.map.ShowLayer(t.id);
+
+			else this.map.HideLayer(t.id);
+		});
+	}
+
+	/**
+	 * Color the layers of the second map following its legend and the legend checkboxes
+	 */
+	UpdateLegendState() {
+		this.map.UpdateMapLayersWithLegendState(this.current.LayerIDs, this.legend, Store.Opacity);
+	}
+
+	/**
+	 * Move a map to the view of the other map
+	 * @param {object} source - the map that moved
+	 * @param {object} target - the map to move
+	 */
+	Sync(source, target) {
+		if (this.syncing || !source || !target) return;
+
+		this.syncing = true;
+
+		target.View = source.View;
+
+		this.syncing = false;
+	}
+
+	OnMain_Move(ev) {
+		this.Sync(this.main, this.map);
+	}
+
+	OnMap_Move(ev) {
+		this.Sync(this.map, this.main);
+	}
+
+	OnMaps_Change(ev) {
+		this.Reload(this.Node("maps").value, this.layer);
+
+		this.map.SetStyle(this.current.Style);
+	}
+
+	OnLayers_Change(ev) {
+		this.layer = this.Node("layers").value;
+
+		this.ShowLayer();
+	}
+
+	OnMapStyleChanged_Handler(ev) {
+		this.ShowLayer();
+
+		this.map.ApplyLegendStylesToMapLayers(this.current.LayerIDs, this.legend);
+
+		this.UpdateLegendState();
+	}
+
+	OnMapIdle_Handler(ev) {
+		if (!this.classification) return;
+
+		var layer = this.layer || this.current.LayerIDs[0];
+		var features = this.map.QueryLayerSourceFeatures(layer);
+
+		if (!this.classification.Update(features, layer)) return;
+
+		var state = this.legend.GetState();
+
+		this.legend.Reload(this.LegendConfig(), this.current.Title, null, this.current.Subtitle);
+
+		if (state.length == this.legend.chkBoxesState.length) this.legend.SetState(state);
+
+		this.map.ApplyLegendStylesToMapLayers(this.current.LayerIDs, this.legend);
+
+		this.UpdateLegendState();
+	}
+
+	OnDivider_Down(ev) {
+		ev.preventDefault();
+
+		document.addEventListener("pointermove", this.onDivider_Move_Bound);
+		document.addEventListener("pointerup", this.onDivider_Up_Bound);
+	}
+
+	OnDivider_Move(ev) {
+		var bbox = this.Node("root").getBoundingClientRect();
+
+		this.position = Math.min(1, Math.max(0, (ev.clientX - bbox.left) / bbox.width));
+
+		this.Position();
+	}
+
+	OnDivider_Up(ev) {
+		document.removeEventListener("pointermove", this.onDivider_Move_Bound);
+		document.removeEventListener("pointerup", this.onDivider_Up_Bound);
+	}
+
+	OnDivider_KeyDown(ev) {
+		// Left and right arrow keys move the divider by 5%
+		if (ev.keyCode != 37 && ev.keyCode != 39) return;
+
+		this.position = Math.min(1, Math.max(0, this.position + (ev.keyCode == 37 ? -0.05 : 0.05)));
+
+		this.Position();
+	}
+
+	Template() {
+		return "<div handle='root' class='compare'>" +
+					"<div handle='map' class='compare-map'></div>" +
+					"<div handle='divider' class='compare-divider' role='slider' tabindex='0' aria-valuemin='0' aria-valuemax='100' aria-label='nls(Compare_Divider)' title='nls(Compare_Divider_Title)'>" +
+						"<span class='compare-handle'></span>" +
+					"</div>" +
+					"<div class='compare-panel mapboxgl-ctrl'>" +
+						"<div class='compare-toolbar'>" +
+							"<label for='compare-mode'>nls(Compare_Mode)</label>" +
+							"<select handle='mode' id='compare-mode'>" +
+								"<option value='side' selected>nls(Compare_Side)</option>" +
+								"<option value='swipe'>nls(Compare_Swipe)</option>" +
+							"</select>" +
+							"<button handle='close' type='button' title='nls(Compare_Close_Title)'>nls(Compare_Close)</button>" +
+						"</div>" +
+						"<div class='compare-toolbar'>" +
+							"<label for='compare-map'>nls(Compare_Map)</label>" +
+							"<select handle='maps' id='compare-map'></select>" +
+						"</div>" +
+						"<div handle='layer' class='compare-toolbar'>" +
+							"<label for='compare-layer'>nls(Compare_Layer)</label>" +
+							"<select handle='layers' id='compare-layer'></select>" +
+						"</div>" +
+						"<div handle='legend' class='compare-legend'></div>" +
+					"</div>" +
+				"</div>";
+	}
+}
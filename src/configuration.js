@@ -1,4 +1,4 @@
-import { Core } from './web-mapping-components/web-mapping-components.js';
+import { Core, Net, Util } from './web-mapping-components/web-mapping-components.js';
 
 export default class Configuration {
 	
@@ -11,6 +11,16 @@ export default class Configuration {
 		return this.style;
 	}
 	
+	/**
+	 * Check if the map is hosted by Mapbox, its style, sources, glyphs or sprite have mapbox:// urls
+	 * @returns {boolean} true if a Mapbox access token is required to show the map
+	 */
+	get RequiresToken() {
+		var style = typeof this.style === "string" ? this.style : JSON.stringify(this.style);
+		
+		return style.indexOf("mapbox://") > -1;
+	}
+	
 	// Get for localized strings
 	get Title() {
 		return this.title;
@@ -63,8 +73,11 @@ export default class Configuration {
 		return layers && layers.map(l => l.id);
 	}
 	
-	get Legend() {		
-		return this.legend && this.legend.map(l => { 
+	get Legend() {
+		// A legend with a graduated classification is an object, static items are under items
+		var legend = Array.isArray(this.legend) ? this.legend : this.legend && this.legend.items;
+		
+		return legend && legend.map(l => { 
 			return { 
 				color : l.color, 
 				label : l.label && l.label[Core.locale], 
@@ -73,6 +86,10 @@ export default class Configuration {
 		});
 	}
 	
+	get Classification() {
+		return this.legend && this.legend.graduated || null;
+	}
+	
 	get TOC() {		
 		return this.toc && this.toc.map(t => { 
 			return { 
@@ -82,12 +99,60 @@ export default class Configuration {
 		});
 	}
 	
+	get Selection() {
+		if (!this.selection) return null;
+		
+		return {
+			color : this.selection.color || [255, 200, 0, 1],
+			width : this.selection.width || 3
+		}
+	}
+	
+	get Aggregate() {
+		if (!this.aggregate) return null;
+		
+		return {
+			name : this.aggregate.name || null,
+			fields : this.aggregate.fields || []
+		}
+	}
+	
+	get Hover() {
+		if (!this.hover) return null;
+		
+		return {
+			title : this.hover.title || null,
+			field : this.hover.field || null,
+			// The outline of the hovered feature is found by id, the hierarchy field by default
+			id : this.hover.id || this.hierarchy && this.hierarchy.field || null,
+			color : this.hover.color || [40, 40, 40, 1]
+		}
+	}
+	
+	get Hierarchy() {
+		if (!this.hierarchy) return null;
+		
+		return {
+			field : this.hierarchy.field,
+			name : this.hierarchy.name || null,
+			levels : this.hierarchy.levels.map(l => {
+				return {
+					id : l.id,
+					parent : l.parent || null,
+					label : l.label && l.label[Core.locale]
+				}
+			})
+		}
+	}
+	
 	get Fields() {		
 		return this.fields && this.fields.map(f => { 
 			return { 
 				id : f.id,
 				label : f.label && f.label[Core.locale],
-				polish : f.polish || null
+				polish : f.polish || null,
+				precision : f.precision === undefined ? null : f.precision,
+				format : f.format ? this.FieldFormat(f.format) : null
 			} 
 		});
 	}
@@ -95,6 +160,9 @@ export default class Configuration {
 	constructor() {
 		this.id = null;
 		this.style = null;
+		this.sources = null;
+		this.glyphs = null;
+		this.sprite = null;
 		this.layers = null;
 		this.title = null;
 		this.banner = null;
@@ -102,9 +170,97 @@ export default class Configuration {
 		this.description = null;
 		this.legend = null;
 		this.toc = null;
+		this.selection = null;
+		this.aggregate = null;
+		this.hover = null;
+		this.hierarchy = null;
 		this.fields = null;
 	}
 	
+	FieldFormat(format) {
+		var unit = format.unit;
+		
+		return {
+			type : format.type || "decimal",
+			precision : format.precision === undefined ? null : format.precision,
+			unit : unit && typeof unit === "object" ? unit[Core.locale] : unit || null
+		}
+	}
+	
+	/**
+	 * Load the style of the map, unless it's a style hosted by Mapbox used as is. The sources,
+	 * glyphs and sprite of the configuration replace those of the style, so a local style
+	 * can use self-hosted tiles. Relative urls are made absolute, the tiles are requested
+	 * from a worker that doesn't know the location of the page.
+	 * @returns {Promise} a promise resolved once the style is ready
+	 */
+	LoadStyle() {
+		var overridden = this.sources || this.glyphs || this.sprite;
+		
+		if (typeof this.style !== "string" || (this.style.indexOf("mapbox://") == 0 && !overridden)) return Promise.resolve(this.style);
+		
+		var page = document.baseURI;
+		var url = this.style.indexOf("mapbox://") == 0 ? null : Configuration.Absolute(this.style, page);
+		
+		// Sources of a Mapbox style can't be replaced without loading it, only local styles are loaded
+		if (!url) return Promise.reject(new Error(`Map ${this.id} has a mapbox:// style, its sources, glyphs and sprite can't be replaced.`));
+		
+		return Net.JSON(url).then(value => {
+			var style = value.result;
+			
+			for (var id in style.sources) style.sources[id] = Configuration.AbsoluteSource(style.sources[id], url);
+			
+			for (var id in this.sources) style.sources[id] = Configuration.AbsoluteSource(this.sources[id], page);
+			
+			if (style.glyphs || this.glyphs) style.glyphs = this.glyphs ? Configuration.Absolute(this.glyphs, page) : Configuration.Absolute(style.glyphs, url);
+			
+			if (style.sprite || this.sprite) style.sprite = this.sprite ? Configuration.Absolute(this.sprite, page) : Configuration.Absolute(style.sprite, url);
+			
+			this.style = style;
+			
+			return style;
+		});
+	}
+	
+	/**
+	 * Make the urls of a style source absolute
+	 * @param {object} source - the style source
+	 * @param {string} base - the url the source urls are relative to
+	 * @returns {object} a copy of the source with absolute urls
+	 */
+	static AbsoluteSource(source, base) {
+		var copy = Util.Mixin({}, source);
+		
+		if (copy.url) copy.url = this.Absolute(copy.url, base);
+		
+		if (copy.tiles) copy.tiles = copy.tiles.map(t => this.Absolute(t, base));
+		
+		if (typeof copy.data === "string") copy.data = this.Absolute(copy.data, base);
+		
+		return copy;
+	}
+	
+	/**
+	 * Make a url absolute, urls of PMTiles archives keep their pmtiles:// prefix
+	 * 
+	 * Example: Absolute("pmtiles://tiles/population.pmtiles", "https://host/viewer/") -> "pmtiles://https://host/viewer/tiles/population.pmtiles"
+	 * 
+	 * @param {string} url - the url, absolute or relative
+	 * @param {string} base - the url the relative url is relative to
+	 * @returns {string} the absolute url
+	 */
+	static Absolute(url, base) {
+		var pmtiles = url.indexOf("pmtiles://") == 0;
+		var path = pmtiles ? url.slice(10) : url;
+		
+		if (/^[a-z]+:\/\//i.test(path)) return url;
+		
+		// Placeholders of tile and glyph urls, e.g. {z} or {fontstack}, are kept as is
+		var absolute = new URL(path, base).href.replace(/%7B/g, "{").replace(/%7D/g, "}");
+		
+		return pmtiles ? `pmtiles://${absolute}` : absolute;
+	}
+	
 	HasLayer(layerId) {
 		for (var i=0; i < this.layers.length; i++) {
 			if (this.layers[i].id === layerId) return true;
@@ -118,6 +274,9 @@ export default class Configuration {
 		
 		c.id = json.id;
 		c.style = json.style;
+		c.sources = json.sources || null;
+		c.glyphs = json.glyphs || null;
+		c.sprite = json.sprite || null;
 		c.title = json.title && json.title[Core.locale] || null;
 		c.banner = json.banner && json.banner[Core.locale] || null;
 		c.subtitle = json.subtitle && json.subtitle[Core.locale] || null;
@@ -125,6 +284,10 @@ export default class Configuration {
 		c.layers = json.layers || null;
 		c.legend = json.legend || null;
 		c.toc = json.toc || null;
+		c.selection = json.selection || null;
+		c.aggregate = json.aggregate || null;
+		c.hover = json.hover || null;
+		c.hierarchy = json.hierarchy || null;
 		c.fields = json.fields || null;
 		
 		return c;
@@ -0,0 +1,205 @@
+import { Core, Dom, Control } from './web-mapping-components/web-mapping-components.js';
+
+import Sketch from "./sketch.js";
+import Aggregate from "./aggregate.js";
+import Format from "./format.js";
+
+/**
+ * Draw class, a panel to draw a polygon or a circle on the map and summarize the
+ * features of the active layer inside it. Features are counted when they are fully
+ * within the shape, or weighted by the share of their area inside the shape. The
+ * summed fields are the fields of the map's aggregate configuration.
+ * @class
+ */
+export default class Draw extends Control {
+
+	/**
+	 * Check if the panel is shown
+	 * @returns {boolean} true if the panel is shown, false otherwise
+	 */
+	get Visible() {
+		return !Dom.HasClass(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Get the summary method
+	 * @returns {string} "within" to count features fully within the shape, "weighted" to weight them by area
+	 */
+	get Method() {
+		return this.Node("weighted").checked ? "weighted" : "within";
+	}
+
+	/**
+	 * Check if a shape is being drawn, map clicks are used to draw it
+	 * @returns {boolean} true if a shape is being drawn, false otherwise
+	 */
+	get Sketching() {
+		return !!(this.sketch && this.sketch.Mode);
+	}
+
+	/**
+	 * Get the shape drawn
+	 * @returns {object} a GeoJSON polygon, null if no shape was drawn
+	 */
+	get Geometry() {
+		return this.sketch ? this.sketch.Geometry : null;
+	}
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		this.color = options && options.color;
+		this.sketch = null;
+
+		this.Node("polygon").addEventListener("click", this.OnStart_Click.bind(this, "polygon"));
+		this.Node("circle").addEventListener("click", this.OnStart_Click.bind(this, "circle"));
+		this.Node("finish").addEventListener("click", ev => this.sketch.Finish());
+		this.Node("clear").addEventListener("click", ev => this.Clear());
+		this.Node("within").addEventListener("change", ev => this.Emit("MethodChanged", { method:this.Method }));
+		this.Node("weighted").addEventListener("change", ev => this.Emit("MethodChanged", { method:this.Method }));
+		this.Node("download").addEventListener("click", ev => this.Emit("Export", {}));
+
+		this.Update(null);
+		this.Hide();
+	}
+
+	onAdd(map) {
+		this.sketch = new Sketch(map, "draw-sketch", this.color);
+
+		this.sketch.On("End", this.OnSketch_End.bind(this));
+		this.sketch.On("Cancel", ev => this.SetMode(null));
+
+		return super.onAdd(map);
+	}
+
+	/**
+	 * Show the panel
+	 */
+	Show() {
+		Dom.RemoveClass(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Hide the panel, the shape is removed
+	 */
+	Hide() {
+		Dom.AddClasses(this.Node("root"), "hidden");
+
+		if (this.sketch && (this.sketch.Mode || this.sketch.Geometry)) this.Clear();
+	}
+
+	/**
+	 * Remove the shape and its summary
+	 */
+	Clear() {
+		this.sketch.Clear();
+
+		this.SetMode(null);
+		this.Update(null);
+
+		this.Emit("Clear", {});
+	}
+
+	/**
+	 * Show the instructions for the kind of shape being drawn
+	 * @param {string} mode - the kind of shape, "polygon" or "circle", null if no shape is being drawn
+	 */
+	SetMode(mode) {
+		var help = { polygon:"Draw_Polygon_Help", circle:"Draw_Circle_Help" };
+
+		this.Node("help").innerHTML = mode ? Core.Nls(help[mode]) : "";
+
+		Dom.ToggleClass(this.Node("help"), "hidden", !mode);
+
+		this.Node("finish").disabled = mode != "polygon";
+	}
+
+	/**
+	 * Show the summary of the features in the shape
+	 * @param {array} items - list of features in the shape, as provided by Features.Collect, with their weight
+	 * @param {array} ids - ids of the fields to sum
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * Null items clear the summary
+	 */
+	Update(items, ids, fields) {
+		Dom.Empty(this.Node("totals"));
+
+		Dom.ToggleClass(this.Node("summary"), "hidden", !items);
+
+		this.Node("download").disabled = !items;
+
+		if (!items) return;
+
+		var count = items.reduce((a, i) => a + i.weight, 0);
+
+		this.Node("count").innerHTML = Core.Nls("Draw_Count", [Format.Number(count, this.Method == "weighted" ? 1 : 0)]);
+
+		Aggregate.DrawTotals(this.Node("totals"), Draw.Totals(items, ids || [], fields), fields);
+	}
+
+	/**
+	 * Total the values of a list of weighted features. Summed fields are multiplied
+	 * by the feature weights, polish fields are computed from the weighted sums.
+	 * @param {array} items - list of features, as provided by Features.Collect, with their weight
+	 * @param {array} ids - ids of the fields to total
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * @returns {object} the totals, by field id
+	 */
+	static Totals(items, ids, fields) {
+		var weighted = items.map(i => {
+			var properties = {};
+
+			fields.filter(f => !f.polish).forEach(f => {
+				var v = i.values[f.id];
+
+				properties[f.id] = (v === null || v === undefined || v === "" || isNaN(v)) ? null : Number(v) * i.weight;
+			});
+
+			return { properties:properties };
+		});
+
+		return Aggregate.Totals(weighted, ids, fields);
+	}
+
+	OnStart_Click(mode, ev) {
+		this.Update(null);
+		this.SetMode(mode);
+
+		this.sketch.Start(mode);
+
+		this.Emit("Clear", {});
+	}
+
+	OnSketch_End(ev) {
+		this.SetMode(null);
+
+		this.Emit("Sketch", { geometry:ev.geometry });
+	}
+
+	Template() {
+		return "<div handle='root' class='draw mapboxgl-ctrl'>" +
+					"<h2 class='draw-title'>nls(Draw_Title)</h2>" +
+					"<div class='draw-buttons'>" +
+						"<button handle='polygon' type='button'>nls(Draw_Polygon)</button>" +
+						"<button handle='circle' type='button'>nls(Draw_Circle)</button>" +
+						"<button handle='finish' type='button' disabled>nls(Draw_Finish)</button>" +
+						"<button handle='clear' type='button'>nls(Draw_Clear)</button>" +
+					"</div>" +
+					"<div handle='help' class='draw-help hidden'></div>" +
+					"<fieldset class='draw-method'>" +
+						"<legend>nls(Draw_Method)</legend>" +
+						"<label><input handle='within' type='radio' name='draw-method' value='within' checked /> nls(Draw_Within)</label>" +
+						"<label><input handle='weighted' type='radio' name='draw-method' value='weighted' /> nls(Draw_Weighted)</label>" +
+					"</fieldset>" +
+					"<div handle='summary' class='draw-summary'>" +
+						"<div handle='count' class='draw-count'></div>" +
+						"<table class='draw-totals'>" +
+							"<tbody handle='totals'></tbody>" +
+						"</table>" +
+					"</div>" +
+					"<button handle='download' type='button' class='download' title='nls(Draw_Download_Title)'>nls(Draw_Download)</button>" +
+				"</div>";
+	}
+}
@@ -0,0 +1,200 @@
+import { Core, Dom, Control } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * Drill class, a breadcrumb control that keeps the path of the features drilled into
+ * across the levels of a geographic hierarchy (e.g. PR › CD › CSD › DA). Child levels
+ * are filtered to the features whose id starts with the id of their parent, the uid
+ * prefix hierarchy. The hierarchy is defined in a map config file as follows:
+ *
+ * "hierarchy": {
+ *		"field": "uid", <- the property holding the hierarchical id
+ *		"name": "name", <- the property shown in the breadcrumb
+ *		"levels": [{ "id": "pr", "label": ... }, { "id": "cd", "parent": "pr", "label": ... }, ...]
+ * }
+ *
+ * Levels are ordered from the highest to the lowest. The parent of a level is the
+ * level whose ids are a prefix of its ids, not always the level right above it
+ * (e.g. DA ids start with the CD id, not the CSD id).
+ * @class
+ */
+export default class Drill extends Control {
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		this.Reload(options.hierarchy, options.layer);
+	}
+
+	/**
+	 * Set the hierarchy of the current map, the path is cleared
+	 * @param {object} hierarchy - the hierarchy, as provided by Configuration.Hierarchy
+	 * @param {string} layer - the id of the current layer
+	 */
+	Reload(hierarchy, layer) {
+		this.hierarchy = hierarchy;
+		this.path = [];
+		this.layer = layer;
+
+		Dom.ToggleClass(this.Node("root"), "hidden", !hierarchy);
+
+		this.Draw();
+	}
+
+	/**
+	 * Get a level of the hierarchy
+	 * @param {string} layerId - the id of the level's layer
+	 * @returns {object} the level, null if the layer isn't part of the hierarchy
+	 */
+	Level(layerId) {
+		if (!this.hierarchy) return null;
+
+		return this.hierarchy.levels.filter(l => l.id == layerId)[0] || null;
+	}
+
+	/**
+	 * Get the level below a level
+	 * @param {string} layerId - the id of the level's layer
+	 * @returns {object} the next level, null if it's the lowest level
+	 */
+	Next(layerId) {
+		var i = this.Index(layerId);
+
+		return (i < 0) ? null : this.hierarchy.levels[i + 1] || null;
+	}
+
+	/**
+	 * Get the level above a level
+	 * @param {string} layerId - the id of the level's layer
+	 * @returns {object} the previous level, null if it's the highest level
+	 */
+	Previous(layerId) {
+		var i = this.Index(layerId);
+
+		return (i < 1) ? null : this.hierarchy.levels[i - 1];
+	}
+
+	Index(layerId) {
+		return this.hierarchy ? this.hierarchy.levels.indexOf(this.Level(layerId)) : -1;
+	}
+
+	/**
+	 * Add a feature to the path and make the next level current
+	 * @param {string} layerId - the id of the feature's layer
+	 * @param {object} properties - the feature properties
+	 * @param {array} bounds - the bounding box of the feature
+	 * @returns {object} the next level
+	 */
+	Down(layerId, properties, bounds) {
+		var next = this.Next(layerId);
+
+		this.Truncate(layerId);
+
+		this.path.push({
+			level : layerId,
+			id : String(properties[this.hierarchy.field]),
+			name : this.hierarchy.name ? properties[this.hierarchy.name] : null,
+			bounds : bounds
+		});
+
+		this.layer = next.id;
+
+		this.Draw();
+
+		return next;
+	}
+
+	/**
+	 * Remove the features of the path from the level above, make the level above current
+	 * @param {string} layerId - the id of the current layer
+	 * @returns {object} the path entry of the level above, null if the path didn't go through it
+	 */
+	Up(layerId) {
+		var previous = this.Previous(layerId);
+		var entry = this.path.filter(e => e.level == previous.id)[0] || null;
+
+		this.Truncate(previous.id);
+
+		return entry;
+	}
+
+	/**
+	 * Remove the features of the path at or below a level, make the level current
+	 * @param {string} layerId - the id of the new current layer
+	 */
+	Truncate(layerId) {
+		var i = this.Index(layerId);
+
+		this.path = this.path.filter(e => i < 0 || this.Index(e.level) < i);
+		this.layer = layerId;
+
+		this.Draw();
+	}
+
+	/**
+	 * Get the filter of a layer, limiting it to the children of the closest ancestor in the path
+	 * @param {string} layerId - the id of the layer to filter
+	 * @returns {array} the filter expression, null if the layer isn't filtered
+	 */
+	Filter(layerId) {
+		var level = this.Level(layerId);
+
+		while (level && level.parent) {
+			var entry = this.path.filter(e => e.level == level.parent)[0];
+
+			if (entry) return ["==", ["slice", ["to-string", ["get", this.hierarchy.field]], 0, entry.id.length], entry.id];
+
+			level = this.Level(level.parent);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Draw the breadcrumb, one button per feature in the path followed by the current level
+	 */
+	Draw() {
+		Dom.Empty(this.Node("path"));
+
+		if (!this.hierarchy) return;
+
+		this.AddCrumb(Core.Nls("Drill_All"), -1);
+
+		this.path.forEach((e, i) => {
+			var level = this.Level(e.level);
+
+			this.AddCrumb(e.name ? `${level.label} ${e.name}` : `${level.label} ${e.id}`, i);
+		});
+
+		var current = this.Level(this.layer);
+
+		if (current) Dom.Create("span", { className:"drill-current", textContent:current.label }, this.Node("path"));
+	}
+
+	AddCrumb(label, index) {
+		var btn = Dom.Create("button", { type:"button", className:"drill-crumb", textContent:label, title:Core.Nls("Drill_Crumb_Title") }, this.Node("path"));
+
+		btn.addEventListener("click", this.OnCrumb_Click.bind(this, index));
+
+		Dom.Create("span", { className:"drill-separator", textContent:"›" }, this.Node("path"));
+	}
+
+	OnCrumb_Click(index, ev) {
+		var entry = this.path[index] || null;
+		var layer = entry ? this.Next(entry.level).id : this.hierarchy.levels[0].id;
+
+		this.path = this.path.slice(0, index + 1);
+		this.layer = layer;
+
+		this.Draw();
+
+		this.Emit("Select", { layer:layer, bounds:entry && entry.bounds });
+	}
+
+	Template() {
+		return "<div handle='root' class='drill mapboxgl-ctrl'>" +
+					"<nav handle='path' class='drill-path' aria-label='nls(Drill_Label)'></nav>" +
+				"</div>";
+	}
+}
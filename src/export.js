@@ -0,0 +1,89 @@
+import { Core, Control } from './web-mapping-components/web-mapping-components.js';
+
+import Geometry from "./geometry.js";
+
+/**
+ * Export class, a control with buttons to export the features shown on the map
+ * @class
+ */
+export default class Export extends Control {
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		// If a custom label is provided, update control label
+		if (options.label && typeof(options.label) === 'string') {
+			this.Node('label').innerHTML = options.label;
+		}
+
+		this.Node("csv").addEventListener("click", this.OnButton_Click.bind(this, "csv"));
+		this.Node("geojson").addEventListener("click", this.OnButton_Click.bind(this, "geojson"));
+	}
+
+	OnButton_Click(format, ev) {
+		this.Emit("Export", { format:format });
+	}
+
+	/**
+	 * Write a list of feature items as CSV, with one column per field. Column headers
+	 * are the field labels in the current locale.
+	 * @param {array} items - the feature items, as provided by Features.Collect
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * @returns {string} the CSV content
+	 */
+	static ToCSV(items, fields) {
+		var lines = [fields.map(f => this.CsvValue(f.label || f.id)).join(",")];
+
+		items.forEach(i => {
+			lines.push(fields.map(f => this.CsvValue(i.values[f.id])).join(","));
+		});
+
+		// Byte order mark, required by spreadsheet software to read UTF-8 accents
+		return "\ufeff" + lines.join("\r\n");
+	}
+
+	/**
+	 * Escape a value for CSV, values containing separators, quotes or line breaks are quoted
+	 * @param {string|number} value - the value to escape
+	 * @returns {string} the escaped value, empty for missing values
+	 */
+	static CsvValue(value) {
+		if (value === null || value === undefined) return "";
+
+		value = String(value);
+
+		if (/[",\r\n]/.test(value)) value = '"' + value.replace(/"/g, '""') + '"';
+
+		return value;
+	}
+
+	/**
+	 * Write a list of feature items as a GeoJSON FeatureCollection. Geometries are the
+	 * geometries rendered on the map, simplified for the current zoom level.
+	 * @param {array} items - the feature items, as provided by Features.Collect
+	 * @returns {string} the GeoJSON content
+	 */
+	static ToGeoJSON(items) {
+		var features = items.map(i => {
+			return {
+				type : "Feature",
+				properties : i.values,
+				geometry : Geometry.Merge(i.geometries)
+			}
+		});
+
+		return JSON.stringify({ type:"FeatureCollection", features:features });
+	}
+
+	Template() {
+		return "<div handle='root' class='download mapboxgl-ctrl'>" +
+					"<div handle='label' class='control-label'>Download data</div>" +
+					"<div class='download-buttons'>" +
+						"<button handle='csv' type='button' title='nls(Download_CSV_Title)'>CSV</button>" +
+						"<button handle='geojson' type='button' title='nls(Download_GeoJSON_Title)'>GeoJSON</button>" +
+					"</div>" +
+				"</div>";
+	}
+}
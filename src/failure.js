@@ -0,0 +1,62 @@
+import { Dom, Templated } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * Failure class, a panel shown instead of the application when it fails to start. It
+ * lists the files that failed to load, or the error that stopped the application, with
+ * a button to reload the page.
+ * @class
+ */
+export default class Failure extends Templated {
+
+	/**
+	 * Get the strings of the panel and of the startup failures, used when the strings of
+	 * config.nls.json can't be loaded
+	 * @returns {object} the strings, by id and locale
+	 */
+	static get Strings() {
+		return {
+			"Failure_Title" : { "en" : "The application could not start", "fr" : "L'application n'a pas pu démarrer" },
+			"Failure_Message" : { "en" : "The following problems prevented the application from starting. Fix them, then reload the page.", "fr" : "Les problèmes suivants ont empêché le démarrage de l'application. Corrigez-les, puis rechargez la page." },
+			"Failure_Reload" : { "en" : "Reload", "fr" : "Recharger" },
+			"Startup_Network" : { "en" : "The server could not be reached", "fr" : "Le serveur est inaccessible" },
+			"Startup_Http" : { "en" : "The server responded with an error ({0})", "fr" : "Le serveur a répondu par une erreur ({0})" },
+			"Startup_Parse" : { "en" : "Invalid JSON ({0})", "fr" : "JSON invalide ({0})" },
+			"Startup_Parse_Position" : { "en" : "Invalid JSON at line {0}, column {1}", "fr" : "JSON invalide à la ligne {0}, colonne {1}" }
+		}
+	}
+
+	/**
+	 * @param {object} container - the element containing the panel
+	 * @param {object} options - the panel options, where;
+	 *		failures is the list of failures, { url, reason, problems }, url is null if the failure isn't about a file,
+	 *		problems is the list of schema problems of invalid files
+	 */
+	constructor(container, options) {
+		super(container, options);
+
+		options.failures.forEach(f => {
+			var item = Dom.Create("li", { className:"failure-item" }, this.Node("failures"));
+
+			if (f.url) Dom.Create("span", { className:"failure-url", textContent:f.url }, item);
+
+			Dom.Create("span", { className:"failure-reason", textContent:f.reason }, item);
+
+			if (!f.problems) return;
+
+			var problems = Dom.Create("ul", { className:"failure-problems" }, item);
+
+			f.problems.forEach(p => Dom.Create("li", { textContent:p }, problems));
+		});
+
+		this.Node("reload").addEventListener("click", ev => window.location.reload());
+	}
+
+	Template() {
+		return "<div handle='root' class='failure' role='alert'>" +
+					"<h1>nls(Failure_Title)</h1>" +
+					"<p>nls(Failure_Message)</p>" +
+					"<ul handle='failures' class='failure-list'></ul>" +
+					"<button handle='reload' type='button' class='failure-reload'>nls(Failure_Reload)</button>" +
+				"</div>";
+	}
+}
@@ -0,0 +1,53 @@
+import Polish from "./polish.js";
+
+/**
+ * Features class, a collection of methods for working with the features queried
+ * from the map.
+ * @class
+ */
+export default class Features {
+
+	/**
+	 * Group map features by id. Features split across tiles are returned by the map
+	 * once per tile, their geometries are grouped into a single item.
+	 * @param {array} features - a list of map features
+	 * @param {string} field - the property used to identify features, the feature id is used if missing
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * @returns {array} list of items, in the order of the features
+	 * Example:
+	 * [
+	 * 		{
+	 * 			id: "35061234",
+	 * 			layer: "da",
+	 * 			values: { uid:"35061234", population:500, buildings:200, ratio:2.5, ... },
+	 * 			geometries: [{ type:"Polygon", coordinates:[...] }, ...]
+	 * 		},
+	 * 		...
+	 * ]
+	 */
+	static Collect(features, field, fields) {
+		var items = {};
+		var list = [];
+
+		features.forEach(f => {
+			var id = f.properties[field] !== undefined ? f.properties[field] : f.id;
+
+			if (items.hasOwnProperty(id)) {
+				items[id].geometries.push(f.geometry);
+
+				return;
+			}
+
+			items[id] = {
+				id : id,
+				layer : f.layer.id,
+				values : Polish.Fields(f.properties, fields),
+				geometries : [f.geometry]
+			};
+
+			list.push(items[id]);
+		});
+
+		return list;
+	}
+}
@@ -0,0 +1,125 @@
+import { Core, Util } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * Format class, formats numeric values following the conventions of the current
+ * locale (Core.locale). The format of a field is defined in a map config file as
+ * follows:
+ *
+ * "format": {
+ * 		"type": "decimal", <- integer, decimal, percent, currency or area
+ * 		"precision": 2,
+ * 		"unit": { "en": "people", "fr": "personnes" } <- optional unit suffix
+ * }
+ * @class
+ */
+export default class Format {
+
+	/**
+	 * Get the number separators of the current locale. French uses a non-breaking
+	 * space to group thousands.
+	 * @returns {object} the group and decimal separators
+	 */
+	static get Separators() {
+		if (Core.locale == "fr") return { group:"\u00a0", decimal:"," };
+
+		return { group:",", decimal:"." };
+	}
+
+	/**
+	 * Format a number with the separators of the current locale
+	 *
+	 * Example (fr): Format.Number(1234567.891, 2) -> "1 234 567,89"
+	 *
+	 * @param {number} value - the number to format
+	 * @param {number} precision - the number of decimals
+	 * @returns {string} the formatted number
+	 */
+	static Number(value, precision) {
+		var sep = this.Separators;
+		var parts = Math.abs(value).toFixed(precision).split(".");
+		var integer = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, sep.group);
+		var s = parts.length > 1 ? integer + sep.decimal + parts[1] : integer;
+
+		// Avoid showing -0 when a small negative value is rounded
+		return (value < 0 && Number(parts.join(".")) != 0) ? "-" + s : s;
+	}
+
+	/**
+	 * Format a length, in metres under a kilometre and in kilometres above
+	 *
+	 * Example (en): Format.Length(12345) -> "12.35 km"
+	 *
+	 * @param {number} metres - the length in metres
+	 * @returns {string} the formatted length
+	 */
+	static Length(metres) {
+		if (metres < 1000) return this.Number(metres, 0) + "\u00a0m";
+
+		return this.Number(metres / 1000, metres < 100000 ? 2 : 0) + "\u00a0km";
+	}
+
+	/**
+	 * Format an area, in hectares under a square kilometre and in square kilometres above
+	 *
+	 * Example (fr): Format.Area(2500000) -> "2,50 km²"
+	 *
+	 * @param {number} sqMetres - the area in square metres
+	 * @returns {string} the formatted area
+	 */
+	static Area(sqMetres) {
+		if (sqMetres < 1000000) return this.Number(sqMetres / 10000, 2) + "\u00a0ha";
+
+		return this.Number(sqMetres / 1000000, sqMetres < 100000000 ? 2 : 0) + "\u00a0km²";
+	}
+
+	/**
+	 * Format a value according to a field format
+	 * @param {number} value - the value to format
+	 * @param {object} format - the field format, as provided by Configuration.Fields
+	 * @returns {string} the formatted value
+	 */
+	static Value(value, format) {
+		var fr = Core.locale == "fr";
+		var p = (format.precision === undefined) ? null : format.precision;
+		var s;
+
+		if (format.type == "integer") s = this.Number(Math.round(value), 0);
+
+		else if (format.type == "percent") s = this.Number(value * 100, p === null ? 0 : p) + (fr ? "\u00a0%" : "%");
+
+		else if (format.type == "currency") {
+			s = this.Number(Math.abs(value), p === null ? 2 : p);
+			s = fr ? s + "\u00a0$" : "$" + s;
+
+			if (value < 0) s = "-" + s;
+		}
+
+		else s = this.Number(value, p === null ? 2 : p);
+
+		var unit = format.unit || (format.type == "area" ? "km²" : null);
+
+		return unit ? s + "\u00a0" + unit : s;
+	}
+
+	/**
+	 * Get a copy of the feature properties where the values of the fields that
+	 * declare a format or a precision are formatted. Missing values are left as is.
+	 * @param {object} properties - the feature properties
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * @returns {object} the feature properties, including the formatted values
+	 */
+	static Fields(properties, fields) {
+		var json = Util.Mixin({}, properties);
+
+		fields.forEach(f => {
+			var format = f.format || (f.precision !== null && f.precision !== undefined ? { type:"decimal", precision:f.precision } : null);
+			var v = properties[f.id];
+
+			if (!format || v === null || v === undefined || v === "" || isNaN(v)) return;
+
+			json[f.id] = this.Value(Number(v), format);
+		});
+
+		return json;
+	}
+}
@@ -0,0 +1,329 @@
+/**
+ * Geometry class, a collection of methods for working with GeoJSON geometries
+ * in the browser.
+ * @class
+ */
+export default class Geometry {
+
+	/**
+	 * Get all the positions of a GeoJSON geometry
+	 * @param {object} geometry - a GeoJSON geometry
+	 * @returns {array} a flat list of [lng, lat] positions
+	 */
+	static Positions(geometry) {
+		if (geometry.type == "GeometryCollection") {
+			return geometry.geometries.reduce((p, g) => p.concat(this.Positions(g)), []);
+		}
+
+		return flatten(geometry.coordinates);
+
+		function flatten(coords) {
+			if (typeof coords[0] === "number") return [coords];
+
+			return coords.reduce((p, c) => p.concat(flatten(c)), []);
+		}
+	}
+
+	/**
+	 * Get the bounding box of a list of GeoJSON geometries
+	 * @param {array} geometries - a list of GeoJSON geometries
+	 * @returns {array} the bounding box, [[min lng, min lat], [max lng, max lat]], null if there are no positions
+	 */
+	static Bounds(geometries) {
+		var bounds = [[Infinity, Infinity], [-Infinity, -Infinity]];
+
+		geometries.forEach(g => {
+			this.Positions(g).forEach(p => {
+				bounds[0][0] = Math.min(bounds[0][0], p[0]);
+				bounds[0][1] = Math.min(bounds[0][1], p[1]);
+				bounds[1][0] = Math.max(bounds[1][0], p[0]);
+				bounds[1][1] = Math.max(bounds[1][1], p[1]);
+			});
+		});
+
+		return bounds[0][0] === Infinity ? null : bounds;
+	}
+
+	/**
+	 * Merge a list of geometries into a single geometry. Polygons are merged into a
+	 * MultiPolygon, other geometries into a GeometryCollection.
+	 * @param {array} geometries - a list of GeoJSON geometries
+	 * @returns {object} the merged GeoJSON geometry
+	 */
+	static Merge(geometries) {
+		if (geometries.length == 1) return geometries[0];
+
+		var polygons = geometries.every(g => g.type == "Polygon" || g.type == "MultiPolygon");
+
+		if (!polygons) return { type:"GeometryCollection", geometries:geometries };
+
+		var coordinates = geometries.reduce((c, g) => {
+			return c.concat(g.type == "Polygon" ? [g.coordinates] : g.coordinates);
+		}, []);
+
+		return { type:"MultiPolygon", coordinates:coordinates };
+	}
+
+	/**
+	 * Get the polygons of a list of geometries, other geometries are ignored
+	 * @param {array} geometries - a list of GeoJSON geometries
+	 * @returns {array} a list of polygon coordinates, [outer ring, hole, ...]
+	 */
+	static Polygons(geometries) {
+		return geometries.reduce((p, g) => {
+			if (g.type == "Polygon") return p.concat([g.coordinates]);
+
+			if (g.type == "MultiPolygon") return p.concat(g.coordinates);
+
+			if (g.type == "GeometryCollection") return p.concat(this.Polygons(g.geometries));
+
+			return p;
+		}, []);
+	}
+
+	/**
+	 * Get the area of a ring on the sphere, the ring may be open or closed
+	 * @param {array} ring - a list of [lng, lat] positions
+	 * @returns {number} the area in square metres, positive
+	 */
+	static RingArea(ring) {
+		var r = 6378137;
+		var rad = Math.PI / 180;
+		var area = 0;
+
+		for (var i = 0; i < ring.length; i++) {
+			var p1 = ring[i];
+			var p2 = ring[(i + 1) % ring.length];
+
+			area += (p2[0] - p1[0]) * rad * (2 + Math.sin(p1[1] * rad) + Math.sin(p2[1] * rad));
+		}
+
+		return Math.abs(area * r * r / 2);
+	}
+
+	/**
+	 * Get the area of a list of geometries, holes are removed
+	 * @param {array} geometries - a list of GeoJSON geometries
+	 * @returns {number} the area in square metres
+	 */
+	static Area(geometries) {
+		return this.Polygons(geometries).reduce((a, p) => {
+			return p.reduce((a, ring, i) => i == 0 ? a + this.RingArea(ring) : a - this.RingArea(ring), a);
+		}, 0);
+	}
+
+	/**
+	 * Check if a position is inside a ring
+	 * @param {array} position - a [lng, lat] position
+	 * @param {array} ring - a list of [lng, lat] positions
+	 * @returns {boolean} true if the position is inside the ring
+	 */
+	static InRing(position, ring) {
+		var inside = false;
+		var x = position[0];
+		var y = position[1];
+
+		for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+			var xi = ring[i][0], yi = ring[i][1];
+			var xj = ring[j][0], yj = ring[j][1];
+
+			if (((yi > y) != (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) inside = !inside;
+		}
+
+		return inside;
+	}
+
+	/**
+	 * Check if all the positions of a list of geometries are inside a ring
+	 * @param {array} ring - a list of [lng, lat] positions
+	 * @param {array} geometries - a list of GeoJSON geometries
+	 * @returns {boolean} true if the geometries are within the ring
+	 */
+	static Within(ring, geometries) {
+		var positions = geometries.reduce((p, g) => p.concat(this.Positions(g)), []);
+
+		return positions.length > 0 && positions.every(p => this.InRing(p, ring));
+	}
+
+	/**
+	 * Split a simple ring in triangles, using ear clipping
+	 * @param {array} ring - a list of [lng, lat] positions, the ring may be open or closed
+	 * @returns {array} a list of triangles, each a list of three positions in counter-clockwise order
+	 */
+	static Triangulate(ring) {
+		var points = this.Open(ring);
+		var triangles = [];
+
+		if (this.SignedArea(points) < 0) points.reverse();
+
+		while (points.length > 3) {
+			var ear = -1;
+
+			for (var i = 0; i < points.length && ear < 0; i++) {
+				var a = points[(i + points.length - 1) % points.length];
+				var b = points[i];
+				var c = points[(i + 1) % points.length];
+
+				if (this.Cross(a, b, c) <= 0) continue;
+
+				var triangle = [a, b, c];
+
+				if (!points.some(p => p != a && p != b && p != c && this.InRing(p, triangle))) ear = i;
+			}
+
+			// Self-intersecting rings have no ear left, the remaining points are dropped
+			if (ear < 0) return triangles;
+
+			triangles.push([points[(ear + points.length - 1) % points.length], points[ear], points[(ear + 1) % points.length]]);
+
+			points.splice(ear, 1);
+		}
+
+		if (points.length == 3) triangles.push(points);
+
+		return triangles;
+	}
+
+	/**
+	 * Clip a ring with a convex ring, using the Sutherland-Hodgman algorithm
+	 * @param {array} ring - a list of [lng, lat] positions
+	 * @param {array} convex - a convex list of [lng, lat] positions, in counter-clockwise order
+	 * @returns {array} the part of the ring inside the convex ring, empty if they don't intersect
+	 */
+	static Clip(ring, convex) {
+		var output = this.Open(ring);
+
+		for (var i = 0; i < convex.length && output.length > 0; i++) {
+			var a = convex[i];
+			var b = convex[(i + 1) % convex.length];
+			var input = output;
+
+			output = [];
+
+			for (var j = 0; j < input.length; j++) {
+				var p = input[j];
+				var q = input[(j + 1) % input.length];
+				var pIn = this.Cross(a, b, p) >= 0;
+				var qIn = this.Cross(a, b, q) >= 0;
+
+				if (pIn) output.push(p);
+
+				if (pIn != qIn) output.push(this.LineIntersection(a, b, p, q));
+			}
+		}
+
+		return output;
+	}
+
+	/**
+	 * Get the area of the intersection of a list of geometries with a simple ring
+	 * @param {array} ring - a list of [lng, lat] positions
+	 * @param {array} geometries - a list of GeoJSON geometries
+	 * @returns {number} the area of the intersection in square metres
+	 */
+	static IntersectionArea(ring, geometries) {
+		var triangles = this.Triangulate(ring);
+
+		return this.Polygons(geometries).reduce((a, p) => {
+			return p.reduce((a, r, i) => {
+				var area = triangles.reduce((t, tri) => {
+					var clipped = this.Clip(r, tri);
+
+					return clipped.length < 3 ? t : t + this.RingArea(clipped);
+				}, 0);
+
+				return i == 0 ? a + area : a - area;
+			}, a);
+		}, 0);
+	}
+
+	/**
+	 * Get a polygon approximating a circle on the sphere
+	 * @param {array} center - the [lng, lat] position of the center
+	 * @param {number} radius - the radius in metres
+	 * @param {number} steps - the number of vertices, defaults to 64
+	 * @returns {object} a GeoJSON polygon
+	 */
+	static Circle(center, radius, steps) {
+		var n = steps || 64;
+		var rad = Math.PI / 180;
+		var d = radius / 6378137;
+		var lat = center[1] * rad;
+		var lng = center[0] * rad;
+		var ring = [];
+
+		for (var i = 0; i < n; i++) {
+			var bearing = -2 * Math.PI * i / n;
+			var lat2 = Math.asin(Math.sin(lat) * Math.cos(d) + Math.cos(lat) * Math.sin(d) * Math.cos(bearing));
+			var lng2 = lng + Math.atan2(Math.sin(bearing) * Math.sin(d) * Math.cos(lat), Math.cos(d) - Math.sin(lat) * Math.sin(lat2));
+
+			ring.push([lng2 / rad, lat2 / rad]);
+		}
+
+		ring.push(ring[0]);
+
+		return { type:"Polygon", coordinates:[ring] };
+	}
+
+	/**
+	 * Get the distance between two positions on the sphere, using the haversine formula
+	 * @param {array} p1 - a [lng, lat] position
+	 * @param {array} p2 - a [lng, lat] position
+	 * @returns {number} the distance in metres
+	 */
+	static Distance(p1, p2) {
+		var rad = Math.PI / 180;
+		var dLat = (p2[1] - p1[1]) * rad;
+		var dLng = (p2[0] - p1[0]) * rad;
+		var a = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(p1[1] * rad) * Math.cos(p2[1] * rad) * Math.pow(Math.sin(dLng / 2), 2);
+
+		return 2 * 6378137 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+	}
+
+	/**
+	 * Remove the closing position of a ring, if it's closed
+	 * @param {array} ring - a list of [lng, lat] positions
+	 * @returns {array} a copy of the ring, without its closing position
+	 */
+	static Open(ring) {
+		var first = ring[0];
+		var last = ring[ring.length - 1];
+		var closed = ring.length > 1 && first[0] == last[0] && first[1] == last[1];
+
+		return closed ? ring.slice(0, -1) : ring.slice();
+	}
+
+	/**
+	 * Get the planar signed area of a ring, positive if counter-clockwise
+	 */
+	static SignedArea(ring) {
+		var area = 0;
+
+		for (var i = 0; i < ring.length; i++) {
+			var p = ring[i];
+			var q = ring[(i + 1) % ring.length];
+
+			area += p[0] * q[1] - q[0] * p[1];
+		}
+
+		return area / 2;
+	}
+
+	/**
+	 * Get the cross product of (b - a) and (c - a), positive if c is left of the line a-b
+	 */
+	static Cross(a, b, c) {
+		return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+	}
+
+	/**
+	 * Get the intersection of the line a-b with the segment p-q
+	 */
+	static LineIntersection(a, b, p, q) {
+		var d1 = this.Cross(a, b, p);
+		var d2 = this.Cross(a, b, q);
+		var t = d1 / (d1 - d2);
+
+		return [p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])];
+	}
+}
@@ -1,51 +1,112 @@
+
 import Splash from "./splash.js";
-import { Core, Net } from './web-mapping-components/web-mapping-components.js';
+import { Core, Dom } from './web-mapping-components/web-mapping-components.js';
 
 import Configuration from "./configuration.js";
 import Application from "./application.js";
+import Startup from "./startup.js";
+import Failure from "./failure.js";
 
 Core.root = "./"
 
-Net.JSON(`./config/config.nls.json`).then(value => {
-	Core.locale = document.documentElement.lang || "en";
-	Core.nls = value.result;
-	
+// Self-hosted PMTiles archives are read through the pmtiles:// protocol, when the pmtiles script is included in the page
+if (window.pmtiles && maplibregl.addProtocol) maplibregl.addProtocol("pmtiles", new pmtiles.Protocol().tile);
+
+// Transient failures are retried twice, after half a second and after a second
+var startup = new Startup(2, 500);
+
+Core.locale = document.documentElement.lang || "en";
+
+startup.Load(`./config/config.nls.json`).then(value => {
+	Core.nls = value;
+
 	var splash = new Splash();
-	
+
 	var p1 = splash.Show();
-	var p2 = Net.JSON(`./config/config.applications.json`);
-	
-	Promise.all([p1, p2]).then(Start);
+	var p2 = startup.Load(`./config/config.applications.json`, "applications");
+
+	// Failures are reported once the splash is closed
+	Promise.all([p1, Settle(p2)]).then(results => {
+		if (startup.Failures.length > 0) Fail(startup.Failures);
+
+		else Start(results[1]);
+	});
+}, failure => {
+	// Without its strings, the failure panel uses its own
+	Core.nls = Failure.Strings;
+
+	Fail([failure]);
 });
 
-function Start(results) {	
-	var defs = results[1].result.map(m => Net.JSON(m));
-	
+function Start(applications) {
 	var config = {}
-	
-	var p1 = Promise.all(defs).then(values => {
+
+	var p1 = Promise.all(applications.map(url => {
+		return startup.Load(url, "map").then(json => {
+			var map = Configuration.FromJSON(json);
+
+			// Local styles are loaded before the map is created, their urls are made absolute
+			return map.LoadStyle().then(style => map, error => {
+				// Styles are loaded with Net.JSON, other failures are plain errors
+				return startup.Fail(error.error ? Startup.Failure(map.Style, error.error) : { url:url, reason:error.message });
+			});
+		});
+	})).then(maps => {
 		config.maps = {};
-		
-		values.forEach(v => config.maps[v.result.id] = Configuration.FromJSON(v.result));
+
+		maps.forEach(m => config.maps[m.ID] = m);
 	});
-	
-	var p2 = Net.JSON(`./config/config.bookmarks.json`).then(value => {
-		config.bookmarks = value.result.items;
+
+	// Without bookmarks, there's no bookmarks menu
+	var p2 = startup.Optional(`./config/config.bookmarks.json`, null, "bookmarks").then(value => {
+		config.bookmarks = value && value.items;
+	});
+
+	var p3 = startup.Load(`./config/config.search.json`, "search").then(value => {
+		config.search = value;
 	});
-	
-	var p3 = Net.JSON(`./config/config.search.json`).then(value => {
-		config.search = value.result;
+
+	var p4 = startup.Load(`./config/config.attributes.json`, "attributes").then(value => {
+		config.attributes = value;
 	});
-	
-	var p4 = Net.JSON(`./config/config.table.json`).then(value => {
-		config.table = value.result;
+
+	// Credentials are only required for maps hosted by Mapbox
+	var p5 = startup.Optional(`./config/config.credentials.json`, {}, "credentials").then(value => {
+		config.credentials = value;
 	});
-		
-	var p5 = Net.JSON(`./config/config.credentials.json`).then(value => {
-		config.credentials = value.result;
+
+	var p6 = startup.Load(`./config/config.basemaps.json`, "basemaps").then(value => {
+		config.basemaps = value;
 	});
-		
-	Promise.all([p1, p2, p3, p4, p5]).then(results => {
-		var app = new Application(config);
+
+	// All the files are loaded before reporting the failures, so they're reported together
+	Promise.all([p1, p2, p3, p4, p5, p6].map(Settle)).then(results => {
+		if (startup.Failures.length > 0) return Fail(startup.Failures);
+
+		try {
+			var app = new Application(config);
+		}
+		catch (error) {
+			console.error(error);
+
+			Fail([{ url:null, reason:error.message || String(error) }]);
+		}
 	});
-}
\ No newline at end of file
+}
+
+/**
+ * Get a promise resolved when a promise settles, with its value or null if it's rejected
+ */
+function Settle(promise) {
+	return promise.catch(failure => null);
+}
+
+/**
+ * Show the failure panel instead of the application
+ * @param {array} failures - list of failures, { url, reason }
+ */
+function Fail(failures) {
+	Dom.AddClasses(document.body, "failed");
+
+	new Failure(document.body, { failures:failures });
+}
@@ -0,0 +1,149 @@
+import { Core, Dom, Control } from './web-mapping-components/web-mapping-components.js';
+
+import Sketch from "./sketch.js";
+import Geometry from "./geometry.js";
+import Format from "./format.js";
+
+/**
+ * Measure class, a panel to measure distances and areas on the map. Vertices are
+ * added with clicks, lengths and areas are computed on the sphere and labelled on
+ * the map as the shape is drawn.
+ * @class
+ */
+export default class Measure extends Control {
+
+	/**
+	 * Check if the panel is shown
+	 * @returns {boolean} true if the panel is shown, false otherwise
+	 */
+	get Visible() {
+		return !Dom.HasClass(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Check if a measure is being drawn, map clicks are used to draw it
+	 * @returns {boolean} true if a measure is being drawn, false otherwise
+	 */
+	get Sketching() {
+		return !!(this.sketch && this.sketch.Mode);
+	}
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		this.color = options && options.color;
+		this.sketch = null;
+
+		this.Node("distance").addEventListener("click", this.OnStart_Click.bind(this, "line"));
+		this.Node("area").addEventListener("click", this.OnStart_Click.bind(this, "polygon"));
+		this.Node("clear").addEventListener("click", ev => this.Clear());
+
+		this.SetResult(null);
+		this.Hide();
+	}
+
+	onAdd(map) {
+		this.sketch = new Sketch(map, "measure-sketch", this.color || [214, 69, 96, 1]);
+
+		this.sketch.On("Change", ev => this.Update(ev.geometry));
+		this.sketch.On("End", ev => this.Update(ev.geometry));
+		this.sketch.On("Cancel", ev => this.SetResult(null));
+
+		return super.onAdd(map);
+	}
+
+	/**
+	 * Show the panel
+	 */
+	Show() {
+		Dom.RemoveClass(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Hide the panel, the measure is removed
+	 */
+	Hide() {
+		Dom.AddClasses(this.Node("root"), "hidden");
+
+		if (this.sketch) this.Clear();
+	}
+
+	/**
+	 * Remove the measure from the map and the panel
+	 */
+	Clear() {
+		this.sketch.Clear();
+
+		this.SetResult(null);
+	}
+
+	/**
+	 * Measure a shape, the results are shown in the panel and labelled on the map. Lines
+	 * are labelled with the distance at each vertex, polygons with their area.
+	 * @param {object} geometry - a GeoJSON LineString or Polygon, null if the shape doesn't have enough vertices
+	 */
+	Update(geometry) {
+		if (!geometry) return this.SetResult(null);
+
+		var line = geometry.type == "LineString";
+		var positions = line ? geometry.coordinates : geometry.coordinates[0];
+		var labels = [];
+		var length = 0;
+
+		positions.forEach((p, i) => {
+			if (i == 0) return;
+
+			length += Geometry.Distance(positions[i - 1], p);
+
+			if (line) labels.push({ position:p, text:Format.Length(length) });
+		});
+
+		if (line) return this.SetResult(Core.Nls("Measure_Distance_Result", [Format.Length(length)]), labels);
+
+		var area = Format.Area(Geometry.RingArea(positions));
+
+		labels.push({ position:Measure.Center(positions.slice(0, -1)), text:area });
+
+		this.SetResult(Core.Nls("Measure_Area_Result", [area, Format.Length(length)]), labels);
+	}
+
+	/**
+	 * Show a result in the panel and its labels on the map
+	 * @param {string} result - the result text, null to show the instructions
+	 * @param {array} labels - list of labels, { position, text }
+	 */
+	SetResult(result, labels) {
+		this.Node("result").innerHTML = result || Core.Nls("Measure_Help");
+
+		if (this.sketch && labels) this.sketch.SetLabels(labels);
+	}
+
+	/**
+	 * Get the average position of a list of positions, used to place the area label
+	 */
+	static Center(positions) {
+		var sum = positions.reduce((a, p) => [a[0] + p[0], a[1] + p[1]], [0, 0]);
+
+		return [sum[0] / positions.length, sum[1] / positions.length];
+	}
+
+	OnStart_Click(mode, ev) {
+		this.SetResult(null);
+
+		this.sketch.Start(mode);
+	}
+
+	Template() {
+		return "<div handle='root' class='measure mapboxgl-ctrl'>" +
+					"<h2 class='measure-title'>nls(Measure_Title)</h2>" +
+					"<div class='measure-buttons'>" +
+						"<button handle='distance' type='button'>nls(Measure_Distance)</button>" +
+						"<button handle='area' type='button'>nls(Measure_Area)</button>" +
+						"<button handle='clear' type='button'>nls(Measure_Clear)</button>" +
+					"</div>" +
+					"<div handle='result' class='measure-result' aria-live='polite'></div>" +
+				"</div>";
+	}
+}
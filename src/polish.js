@@ -0,0 +1,103 @@
+import { Util } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * Polish class, evaluates the polish expressions used in the map config files to
+ * define derived fields. A polish expression is an array formatted as follows,
+ * [operator, operand 1, operand 2, ...], where an operand is a property name, a
+ * number or another polish expression. Only the operators listed below are
+ * evaluated, expressions are never executed as code.
+ *
+ * Example: ["*", 100, ["/", "population", ["+", "population", "buildings"]]]
+ * @class
+ */
+export default class Polish {
+
+	/**
+	 * Get the operators supported in polish expressions. Each operator is defined by
+	 * the minimum and maximum number of operands it accepts and its function.
+	 * @returns {object} dictionary of operators
+	 */
+	static get Operators() {
+		return {
+			"+" : { min:2, max:Infinity, fn:(...v) => v.reduce((a, b) => a + b) },
+			"-" : { min:1, max:2, fn:(a, b) => (b === undefined) ? -a : a - b },
+			"*" : { min:2, max:Infinity, fn:(...v) => v.reduce((a, b) => a * b) },
+			"/" : { min:2, max:2, fn:(a, b) => a / b },
+			"%" : { min:2, max:2, fn:(a, b) => a % b },
+			"^" : { min:2, max:2, fn:(a, b) => Math.pow(a, b) },
+			"min" : { min:1, max:Infinity, fn:(...v) => Math.min.apply(null, v) },
+			"max" : { min:1, max:Infinity, fn:(...v) => Math.max.apply(null, v) },
+			"abs" : { min:1, max:1, fn:(a) => Math.abs(a) },
+			"round" : { min:1, max:1, fn:(a) => Math.round(a) },
+			"floor" : { min:1, max:1, fn:(a) => Math.floor(a) },
+			"ceil" : { min:1, max:1, fn:(a) => Math.ceil(a) },
+			"sqrt" : { min:1, max:1, fn:(a) => Math.sqrt(a) }
+		};
+	}
+
+	/**
+	 * Evaluate a polish expression using the properties of a feature. Missing or non
+	 * numeric properties, unknown operators and results that aren't finite numbers
+	 * (e.g. a division by zero) evaluate to null.
+	 * @param {array} exp - the polish expression to evaluate
+	 * @param {object} properties - the feature properties
+	 * @returns {number} the result of the expression, null if it can't be evaluated
+	 */
+	static Evaluate(exp, properties) {
+		if (typeof exp === "number") return exp;
+
+		if (typeof exp === "string") {
+			var v = properties[exp];
+
+			return (v === null || v === undefined || v === "" || isNaN(v)) ? null : Number(v);
+		}
+
+		if (!Array.isArray(exp)) return null;
+
+		var op = this.Operators[exp[0]];
+		var operands = exp.slice(1);
+
+		if (!this.Operators.hasOwnProperty(exp[0]) || operands.length < op.min || operands.length > op.max) return null;
+
+		var values = operands.map(e => this.Evaluate(e, properties));
+
+		if (values.some(v => v === null)) return null;
+
+		var result = op.fn.apply(null, values);
+
+		return isFinite(result) ? result : null;
+	}
+
+	/**
+	 * Convert a polish expression to a map style expression, operators have the same
+	 * name in both.
+	 *
+	 * Example: ["/", "population", "buildings"] -> ["/", ["get", "population"], ["get", "buildings"]]
+	 *
+	 * @param {array} exp - the polish expression to convert
+	 * @returns {array} the map style expression
+	 */
+	static ToExpression(exp) {
+		if (typeof exp === "string") return ["get", exp];
+
+		if (!Array.isArray(exp)) return exp;
+
+		return [exp[0]].concat(exp.slice(1).map(e => this.ToExpression(e)));
+	}
+
+	/**
+	 * Get a copy of the feature properties where the derived fields are computed
+	 * @param {object} properties - the feature properties
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 * @returns {object} the feature properties, including the derived fields
+	 */
+	static Fields(properties, fields) {
+		var json = Util.Mixin({}, properties);
+
+		fields.forEach(f => {
+			if (f.polish) json[f.id] = this.Evaluate(f.polish, properties);
+		});
+
+		return json;
+	}
+}
@@ -0,0 +1,204 @@
+import { Dom, Templated } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * Print class, a printable page layout for the map. The map container is moved into
+ * the page while the layout is shown and moved back when it's hidden, the map keeps
+ * its style and state.
+ * @class
+ */
+export default class Print extends Templated {
+
+	/**
+	 * Get the supported page sizes, in portrait orientation
+	 * @returns {object} dictionary of page sizes, width and height are CSS lengths
+	 */
+	static get Sizes() {
+		return {
+			letter : { width:"8.5in", height:"11in" },
+			legal : { width:"8.5in", height:"14in" },
+			a4 : { width:"210mm", height:"297mm" },
+			a3 : { width:"297mm", height:"420mm" }
+		};
+	}
+
+	/**
+	 * Check if the print layout is shown
+	 * @returns {boolean} true if the layout is shown, false otherwise
+	 */
+	get Visible() {
+		return !Dom.HasClass(this.Node("root"), "hidden");
+	}
+
+	constructor(container, options) {
+		super(container, options);
+
+		this.map = null;
+		this.parent = null;
+
+		this.onBody_KeyUp_Bound = this.OnBody_KeyUp.bind(this);
+
+		this.Node("size").addEventListener("change", this.OnLayout_Change.bind(this));
+		this.Node("orientation").addEventListener("change", this.OnLayout_Change.bind(this));
+		this.Node("print").addEventListener("click", ev => this.Emit("Print", {}));
+		this.Node("close").addEventListener("click", ev => this.Emit("Close", {}));
+
+		Dom.AddClasses(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Show the print layout with the map in it
+	 * @param {object} map - the map container element
+	 * @param {object} options - the content of the page, where;
+	 *		title and description are the map title and description,
+	 *		legend is the legend control element, copied without its unchecked classes,
+	 *		bearing is the map bearing, used to orient the north arrow
+	 */
+	Enter(map, options) {
+		this.map = map;
+		this.parent = map.parentNode;
+
+		Dom.Place(map, this.Node("map"));
+
+		this.Node("title").innerHTML = options.title || "";
+		this.Node("description").innerHTML = options.description || "";
+		this.Node("arrow").style.transform = `rotate(${-(options.bearing || 0)}deg)`;
+
+		Dom.ToggleClass(this.Node("description"), "hidden", !options.description);
+
+		Dom.Empty(this.Node("legend"));
+		Dom.Place(this.CopyLegend(options.legend), this.Node("legend"));
+
+		this.ClearImage();
+		this.Layout();
+
+		Dom.RemoveClass(this.Node("root"), "hidden");
+		Dom.AddClasses(document.body, "printing");
+
+		document.body.addEventListener("keyup", this.onBody_KeyUp_Bound);
+	}
+
+	/**
+	 * Hide the print layout and move the map back where it was
+	 */
+	Leave() {
+		Dom.Place(this.map, this.parent);
+
+		this.ClearImage();
+
+		Dom.AddClasses(this.Node("root"), "hidden");
+		Dom.RemoveClass(document.body, "printing");
+
+		document.body.removeEventListener("keyup", this.onBody_KeyUp_Bound);
+
+		this.map = null;
+		this.parent = null;
+	}
+
+	/**
+	 * Copy the legend for the page, without its buttons and unchecked classes
+	 * @param {object} legend - the legend control element
+	 * @returns {object} a copy of the legend element
+	 */
+	CopyLegend(legend) {
+		var copy = legend.cloneNode(true);
+		var items = copy.querySelectorAll(".legend-item");
+
+		// Can't use Array ForEach here since items is a NodeList, not an array
+		for (var i = 0; i < items.length; i++) {
+			var chkBox = items[i].querySelector("input");
+
+			if (chkBox && !chkBox.checked) items[i].parentNode.removeChild(items[i]);
+		}
+
+		var buttons = copy.querySelectorAll("button, input, .legend-actions");
+
+		for (var j = 0; j < buttons.length; j++) buttons[j].parentNode.removeChild(buttons[j]);
+
+		return copy;
+	}
+
+	/**
+	 * Size the page to the selected page size and orientation
+	 */
+	Layout() {
+		var size = Print.Sizes[this.Node("size").value];
+		var landscape = this.Node("orientation").value == "landscape";
+		var width = landscape ? size.height : size.width;
+		var height = landscape ? size.width : size.height;
+
+		this.Node("page").style.width = width;
+		this.Node("page").style.height = height;
+
+		this.Node("style").textContent = `@page { size: ${width} ${height}; margin: 0; }`;
+	}
+
+	/**
+	 * Set the image printed in place of the map. Map canvases are often printed blank
+	 * by browsers, an image of the map is printed instead.
+	 * @param {object} canvas - a canvas of the map, as provided by Map.Snapshot
+	 * @returns {Promise} a promise resolved once the image is loaded
+	 */
+	SetImage(canvas) {
+		return new Promise((resolve, reject) => {
+			this.Node("image").onload = ev => resolve();
+			this.Node("image").src = canvas.toDataURL("image/png");
+		});
+	}
+
+	/**
+	 * Remove the image printed in place of the map
+	 */
+	ClearImage() {
+		this.Node("image").removeAttribute("src");
+	}
+
+	OnLayout_Change(ev) {
+		this.Layout();
+
+		this.Emit("LayoutChanged", {});
+	}
+
+	OnBody_KeyUp(ev) {
+		if (ev.keyCode == 27) this.Emit("Close", {});
+	}
+
+	Template() {
+		return "<div handle='root' class='print-layout'>" +
+					"<style handle='style'></style>" +
+					"<div class='print-toolbar'>" +
+						"<label for='print-size'>nls(Print_Size)</label>" +
+						"<select handle='size' id='print-size'>" +
+							"<option value='letter' selected>nls(Print_Size_Letter)</option>" +
+							"<option value='legal'>nls(Print_Size_Legal)</option>" +
+							"<option value='a4'>A4</option>" +
+							"<option value='a3'>A3</option>" +
+						"</select>" +
+						"<label for='print-orientation'>nls(Print_Orientation)</label>" +
+						"<select handle='orientation' id='print-orientation'>" +
+							"<option value='portrait'>nls(Print_Portrait)</option>" +
+							"<option value='landscape' selected>nls(Print_Landscape)</option>" +
+						"</select>" +
+						"<button handle='print' type='button' class='print-button'>nls(Print_Button)</button>" +
+						"<button handle='close' type='button' title='nls(Print_Close_Title)'>nls(Print_Close)</button>" +
+					"</div>" +
+					"<div handle='page' class='print-page'>" +
+						"<div class='print-header'>" +
+							"<h1 handle='title' class='print-title'></h1>" +
+							"<p handle='description' class='print-description'></p>" +
+						"</div>" +
+						"<div handle='map' class='print-map'>" +
+							"<img handle='image' class='print-image' alt='' />" +
+						"</div>" +
+						"<div class='print-footer'>" +
+							"<div handle='legend' class='print-legend'></div>" +
+							"<div class='print-north'>" +
+								"<svg handle='arrow' width='30' height='40' viewBox='0 0 30 40'>" +
+									"<polygon points='15,0 28,34 15,27 2,34' fill='black' />" +
+								"</svg>" +
+								"<div>N</div>" +
+							"</div>" +
+						"</div>" +
+					"</div>" +
+				"</div>";
+	}
+}
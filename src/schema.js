@@ -0,0 +1,174 @@
+/**
+ * Schema class, validates a JSON document against a JSON Schema. Only the keywords used by
+ * the schemas of the config files (src/config/schemas) are supported; type, enum, const,
+ * required, properties, additionalProperties, items, additionalItems, minItems, maxItems,
+ * minimum, maximum, minLength, pattern, anyOf and $ref to the definitions of the schema.
+ * Other keywords are ignored. The class doesn't import anything, so the config files can
+ * be validated with Node, see config/validate-config.mjs.
+ * @class
+ */
+export default class Schema {
+
+	/**
+	 * Get the names of the JSON types, as used in the problems
+	 * @returns {object} dictionary of names, by JSON type
+	 */
+	static get Names() {
+		return {
+			"object" : "an object",
+			"array" : "an array",
+			"string" : "a string",
+			"number" : "a number",
+			"integer" : "an integer",
+			"boolean" : "a boolean",
+			"null" : "null"
+		}
+	}
+
+	/**
+	 * Validate a JSON document
+	 * @param {*} json - the JSON document
+	 * @param {object} schema - the JSON Schema of the document
+	 * @returns {array} list of problems, "path: problem" (e.g. "toc[1].label: missing property \"fr\""), empty if the document is valid
+	 */
+	static Validate(json, schema) {
+		return this.Check(json, schema, schema, "");
+	}
+
+	static Check(value, schema, root, path) {
+		if (schema.$ref) return this.Check(value, this.Resolve(schema, root), root, path);
+
+		var type = this.Type(value);
+
+		if (!this.IsType(type, schema)) return [this.Problem(path, `must be ${[].concat(schema.type).map(t => this.Names[t]).join(" or ")}`)];
+
+		if (schema.hasOwnProperty("const") && !this.Equals(value, schema.const)) {
+			return [this.Problem(path, `must be ${JSON.stringify(schema.const)}`)];
+		}
+
+		if (schema.enum && !schema.enum.some(e => this.Equals(value, e))) {
+			return [this.Problem(path, `must be one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`)];
+		}
+
+		if (schema.anyOf) {
+			var branches = schema.anyOf.map(s => this.Check(value, s, root, path));
+
+			if (!branches.some(b => b.length == 0)) {
+				// The problems of the forms of the same type are the most useful, the fewer the closer
+				var closest = branches.filter((b, i) => this.IsType(type, this.Resolve(schema.anyOf[i], root)));
+
+				return (closest.length > 0 ? closest : branches).reduce((a, b) => b.length < a.length ? b : a);
+			}
+		}
+
+		if (type == "object") return this.CheckObject(value, schema, root, path);
+
+		if (type == "array") return this.CheckArray(value, schema, root, path);
+
+		if (type == "string") return this.CheckString(value, schema, path);
+
+		if (type == "number" || type == "integer") return this.CheckNumber(value, schema, path);
+
+		return [];
+	}
+
+	static CheckObject(value, schema, root, path) {
+		var problems = (schema.required || []).filter(p => !value.hasOwnProperty(p)).map(p => this.Problem(path, `missing property "${p}"`));
+
+		for (var p in value) {
+			var child = this.Path(path, p);
+
+			if (schema.properties && schema.properties[p]) problems = problems.concat(this.Check(value[p], schema.properties[p], root, child));
+
+			else if (schema.additionalProperties === false) problems.push(this.Problem(path, `unknown property "${p}"`));
+
+			else if (typeof schema.additionalProperties === "object") problems = problems.concat(this.Check(value[p], schema.additionalProperties, root, child));
+		}
+
+		return problems;
+	}
+
+	static CheckArray(value, schema, root, path) {
+		var problems = [];
+
+		if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(this.Problem(path, `must have at least ${schema.minItems} items`));
+
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(this.Problem(path, `must have at most ${schema.maxItems} items`));
+
+		value.forEach((v, i) => {
+			// An array of schemas validates the items by position, the items after them are validated by additionalItems
+			var item = Array.isArray(schema.items) ? (i < schema.items.length ? schema.items[i] : schema.additionalItems) : schema.items;
+
+			if (item === false) problems.push(this.Problem(path, `must have at most ${schema.items.length} items`));
+
+			else if (item && typeof item === "object") problems = problems.concat(this.Check(v, item, root, this.Path(path, i)));
+		});
+
+		return problems;
+	}
+
+	static CheckString(value, schema, path) {
+		if (schema.minLength !== undefined && value.length < schema.minLength) return [this.Problem(path, `must have at least ${schema.minLength} characters`)];
+
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) return [this.Problem(path, `must match ${schema.pattern}`)];
+
+		return [];
+	}
+
+	static CheckNumber(value, schema, path) {
+		if (schema.minimum !== undefined && value < schema.minimum) return [this.Problem(path, `must be at least ${schema.minimum}`)];
+
+		if (schema.maximum !== undefined && value > schema.maximum) return [this.Problem(path, `must be at most ${schema.maximum}`)];
+
+		return [];
+	}
+
+	/**
+	 * Get the definition a schema refers to, through $ref
+	 * @param {object} schema - the schema, returned as is if it doesn't have a $ref
+	 * @param {object} root - the schema containing the definitions, "#/definitions/<id>"
+	 * @returns {object} the definition
+	 */
+	static Resolve(schema, root) {
+		if (!schema.$ref) return schema;
+
+		var definition = schema.$ref.split("/").slice(1).reduce((s, key) => s && s[key], root);
+
+		if (!definition) throw new Error(`Schema reference ${schema.$ref} is undefined.`);
+
+		return this.Resolve(definition, root);
+	}
+
+	static IsType(type, schema) {
+		if (!schema.type) return true;
+
+		var types = [].concat(schema.type);
+
+		// Integers are numbers too
+		return types.indexOf(type) > -1 || (type == "integer" && types.indexOf("number") > -1);
+	}
+
+	static Type(value) {
+		if (value === null) return "null";
+
+		if (Array.isArray(value)) return "array";
+
+		if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+
+		return typeof value;
+	}
+
+	static Equals(a, b) {
+		return JSON.stringify(a) === JSON.stringify(b);
+	}
+
+	static Path(path, key) {
+		if (typeof key === "number") return `${path}[${key}]`;
+
+		return path ? `${path}.${key}` : key;
+	}
+
+	static Problem(path, problem) {
+		return `${path || "root"}: ${problem}`;
+	}
+}
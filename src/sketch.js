@@ -0,0 +1,268 @@
+import { Evented } from './web-mapping-components/web-mapping-components.js';
+
+import Geometry from "./geometry.js";
+
+/**
+ * Sketch class, draws a shape on the map from pointer clicks. Polygons and lines get
+ * one vertex per click and are finished with a double-click or a click on their first
+ * vertex. Circles get a click on their center and a click on their edge. The shape
+ * stays on the map once finished, until it's cleared or another shape is started.
+ * Text labels can be shown on the map along with the shape.
+ * @class
+ */
+export default class Sketch extends Evented {
+
+	/**
+	 * Get the kind of shape being drawn
+	 * @returns {string} "polygon", "circle" or "line", null if no shape is being drawn
+	 */
+	get Mode() {
+		return this.mode;
+	}
+
+	/**
+	 * Get the shape drawn, or being drawn
+	 * @returns {object} a GeoJSON geometry, null if there's no shape yet
+	 */
+	get Geometry() {
+		if (!this.mode) return this.geometry;
+
+		var positions = this.pointer ? this.positions.concat([this.pointer]) : this.positions;
+
+		if (this.mode == "circle") {
+			if (positions.length < 2) return null;
+
+			return Geometry.Circle(positions[0], Geometry.Distance(positions[0], positions[1]));
+		}
+
+		if (this.mode == "polygon" && positions.length > 2) {
+			return { type:"Polygon", coordinates:[positions.concat([positions[0]])] };
+		}
+
+		return positions.length > 1 ? { type:"LineString", coordinates:positions } : null;
+	}
+
+	/**
+	 * @param {object} map - the maplibre map, as provided to a control
+	 * @param {string} id - the id of the sketch source, also used as a prefix for its layers
+	 * @param {array} color - the color of the sketch, [r, g, b, a]
+	 */
+	constructor(map, id, color) {
+		super();
+
+		this.map = map;
+		this.id = id;
+		this.color = `rgba(${(color || [0, 90, 160, 1]).join(",")})`;
+		this.mode = null;
+		this.positions = [];
+		this.pointer = null;
+		this.geometry = null;
+		this.labels = [];
+
+		this.map.on("click", this.OnMap_Click.bind(this));
+		this.map.on("dblclick", this.OnMap_DblClick.bind(this));
+		this.map.on("mousemove", this.OnMap_MouseMove.bind(this));
+
+		// Sources and layers added at runtime are removed when the style changes
+		this.map.on("styledata", ev => {
+			if (this.map.isStyleLoaded() && !this.map.getSource(this.id)) this.Draw();
+		});
+
+		this.onBody_KeyUp_Bound = this.OnBody_KeyUp.bind(this);
+	}
+
+	/**
+	 * Start drawing a shape, the previous shape is removed
+	 * @param {string} mode - the kind of shape, "polygon", "circle" or "line"
+	 */
+	Start(mode) {
+		this.mode = mode;
+		this.positions = [];
+		this.pointer = null;
+		this.geometry = null;
+		this.labels = [];
+
+		this.map.doubleClickZoom.disable();
+		this.map.getCanvas().style.cursor = "crosshair";
+
+		document.body.addEventListener("keyup", this.onBody_KeyUp_Bound);
+
+		this.Draw();
+	}
+
+	/**
+	 * Finish the shape being drawn, nothing happens if it doesn't have enough vertices yet
+	 */
+	Finish() {
+		this.pointer = null;
+
+		var geometry = this.Geometry;
+
+		if (!geometry || (this.mode != "line" && geometry.type != "Polygon")) return;
+
+		this.geometry = geometry;
+
+		this.Stop();
+
+		this.Emit("End", { geometry:geometry });
+	}
+
+	/**
+	 * Stop drawing and remove the shape
+	 */
+	Cancel() {
+		var drawing = !!this.mode;
+
+		this.Clear();
+
+		if (drawing) this.Emit("Cancel", {});
+	}
+
+	/**
+	 * Remove the shape, stops drawing if a shape is being drawn
+	 */
+	Clear() {
+		this.geometry = null;
+		this.labels = [];
+
+		if (this.mode) this.Stop();
+
+		this.Draw();
+	}
+
+	Stop() {
+		this.mode = null;
+		this.positions = [];
+		this.pointer = null;
+
+		this.map.doubleClickZoom.enable();
+		this.map.getCanvas().style.cursor = "";
+
+		document.body.removeEventListener("keyup", this.onBody_KeyUp_Bound);
+
+		this.Draw();
+	}
+
+	/**
+	 * Set the text labels shown on the map, the previous labels are removed
+	 * @param {array} labels - list of labels, { position:[lng, lat], text }
+	 */
+	SetLabels(labels) {
+		this.labels = labels;
+
+		this.Draw();
+	}
+
+	/**
+	 * Show the shape, its vertices and its labels on the map, the source and layers are added if missing
+	 */
+	Draw() {
+		var geometry = this.Geometry;
+		var features = geometry ? [{ type:"Feature", properties:{}, geometry:geometry }] : [];
+
+		if (this.mode != "circle") {
+			this.positions.forEach(p => features.push({ type:"Feature", properties:{}, geometry:{ type:"Point", coordinates:p } }));
+		}
+
+		this.labels.forEach(l => {
+			features.push({ type:"Feature", properties:{ label:l.text }, geometry:{ type:"Point", coordinates:l.position } });
+		});
+
+		var data = { type:"FeatureCollection", features:features };
+		var source = this.map.getSource(this.id);
+
+		if (source) return source.setData(data);
+
+		this.map.addSource(this.id, { type:"geojson", data:data });
+
+		this.map.addLayer({
+			id : `${this.id}-fill`,
+			type : "fill",
+			source : this.id,
+			filter : ["==", ["geometry-type"], "Polygon"],
+			paint : { "fill-color" : this.color, "fill-opacity" : 0.15 }
+		});
+
+		this.map.addLayer({
+			id : `${this.id}-line`,
+			type : "line",
+			source : this.id,
+			filter : ["!=", ["geometry-type"], "Point"],
+			paint : { "line-color" : this.color, "line-width" : 2, "line-dasharray" : [2, 1] }
+		});
+
+		this.map.addLayer({
+			id : `${this.id}-vertex`,
+			type : "circle",
+			source : this.id,
+			filter : ["all", ["==", ["geometry-type"], "Point"], ["!", ["has", "label"]]],
+			paint : { "circle-color" : "white", "circle-radius" : 4, "circle-stroke-color" : this.color, "circle-stroke-width" : 2 }
+		});
+
+		this.map.addLayer({
+			id : `${this.id}-label`,
+			type : "symbol",
+			source : this.id,
+			filter : ["has", "label"],
+			layout : {
+				"text-field" : ["get", "label"],
+				"text-size" : 13,
+				"text-offset" : [0, -1.2],
+				"text-allow-overlap" : true
+			},
+			paint : { "text-color" : "#222", "text-halo-color" : "white", "text-halo-width" : 2 }
+		});
+	}
+
+	/**
+	 * Get the distance in pixels between a map position and a pointer event
+	 */
+	PixelDistance(position, ev) {
+		var p = this.map.project(position);
+
+		return Math.sqrt(Math.pow(p.x - ev.point.x, 2) + Math.pow(p.y - ev.point.y, 2));
+	}
+
+	OnMap_Click(ev) {
+		if (!this.mode) return;
+
+		var first = this.positions[0];
+		var last = this.positions[this.positions.length - 1];
+
+		// A click on the first vertex closes the polygon
+		if (this.mode == "polygon" && this.positions.length > 2 && this.PixelDistance(first, ev) < 6) return this.Finish();
+
+		// The clicks of a double-click land on the same vertex, only the first one is kept
+		if (last && this.PixelDistance(last, ev) < 3) return;
+
+		this.positions.push([ev.lngLat.lng, ev.lngLat.lat]);
+
+		if (this.mode == "circle" && this.positions.length == 2) return this.Finish();
+
+		this.Draw();
+
+		this.Emit("Change", { geometry:this.Geometry });
+	}
+
+	OnMap_DblClick(ev) {
+		if (!this.mode) return;
+
+		ev.preventDefault();
+
+		if (this.mode != "circle") this.Finish();
+	}
+
+	OnMap_MouseMove(ev) {
+		if (!this.mode || this.positions.length == 0) return;
+
+		this.pointer = [ev.lngLat.lng, ev.lngLat.lat];
+
+		this.Draw();
+
+		this.Emit("Change", { geometry:this.Geometry });
+	}
+
+	OnBody_KeyUp(ev) {
+		if (ev.keyCode == 27) this.Cancel();
+	}
+}
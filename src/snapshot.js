@@ -0,0 +1,214 @@
+import { Core, Control } from './web-mapping-components/web-mapping-components.js';
+
+import Format from "./format.js";
+
+/**
+ * Snapshot class, a control to save the map as a PNG image that includes the map
+ * title, the checked legend classes, a scale bar, the attribution and a date stamp
+ * @class
+ */
+export default class Snapshot extends Control {
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		// If a custom label is provided, update control label
+		if (options.label && typeof(options.label) === 'string') {
+			this.Node('label').innerHTML = options.label;
+		}
+
+		this.Node("save").addEventListener("click", this.OnSave_Click.bind(this));
+	}
+
+	/**
+	 * Disable the control while an image is being rendered
+	 * @param {boolean} busy - true if an image is being rendered, false otherwise
+	 */
+	SetBusy(busy) {
+		this.Node("save").disabled = busy;
+		this.Node("ratio").disabled = busy;
+	}
+
+	OnSave_Click(ev) {
+		this.Emit("Snapshot", { ratio:Number(this.Node("ratio").value) });
+	}
+
+	/**
+	 * Draw the map image and its surroundings in a new canvas. The title and the
+	 * legend are drawn in a panel to the right of the map, the scale bar over the
+	 * bottom left corner of the map, the attribution and date below the map.
+	 * @param {object} map - the canvas of the map image, as provided by Map.Snapshot
+	 * @param {number} ratio - the pixel ratio of the map image
+	 * @param {object} options - the content of the image, where;
+	 *		title and subtitle are the map title and subtitle,
+	 *		legend is a list of { label, color } for the checked legend classes,
+	 *		scale is the length of a map pixel in metres at the center of the map,
+	 *		attribution is a list of attribution texts,
+	 *		date is the date the image was made
+	 * @returns {object} the composed canvas
+	 */
+	static Compose(map, ratio, options) {
+		var r = ratio;
+		var panel = 260 * r;
+		var pad = 12 * r;
+		var canvas = document.createElement("canvas");
+		var ctx = canvas.getContext("2d");
+
+		ctx.font = this.Font(11, r);
+
+		var footer = options.attribution.concat([Core.Nls("Snapshot_Date", [options.date.toISOString().slice(0, 10)])]);
+		var lines = this.Wrap(ctx, footer.join(" | "), map.width + panel - 2 * pad);
+		var height = this.PanelHeight(ctx, options, panel - 2 * pad, r) + 2 * pad;
+
+		canvas.width = map.width + panel;
+		canvas.height = Math.max(map.height, height) + (lines.length * 15 + 10) * r;
+
+		ctx.fillStyle = "white";
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		ctx.drawImage(map, 0, 0);
+
+		this.DrawPanel(ctx, options, map.width + pad, pad, panel - 2 * pad, r);
+		this.DrawScale(ctx, options.scale, pad, map.height - pad, r);
+
+		ctx.font = this.Font(11, r);
+		ctx.fillStyle = "#333";
+		ctx.textBaseline = "top";
+
+		lines.forEach((l, i) => ctx.fillText(l, pad, canvas.height - (lines.length - i) * 15 * r - 5 * r));
+
+		return canvas;
+	}
+
+	/**
+	 * Measure the height of the title and legend panel, without drawing it
+	 * @returns {number} the height of the panel
+	 */
+	static PanelHeight(ctx, options, width, r) {
+		return this.DrawPanel(null, options, 0, 0, width, r, ctx);
+	}
+
+	/**
+	 * Draw the title, subtitle and legend classes, one under the other. When no
+	 * context is provided, nothing is drawn and the height is only measured.
+	 * @returns {number} the bottom of the panel
+	 */
+	static DrawPanel(ctx, options, x, y, width, r, measure) {
+		var m = ctx || measure;
+		var write = (text, size, bold, color, indent) => {
+			m.font = this.Font(size, r, bold);
+
+			this.Wrap(m, text, width - indent).forEach(l => {
+				if (ctx) {
+					ctx.fillStyle = color;
+					ctx.textBaseline = "top";
+					ctx.fillText(l, x + indent, y);
+				}
+
+				y += (size + 5) * r;
+			});
+		}
+
+		if (options.title) write(options.title, 16, true, "black", 0);
+
+		if (options.subtitle) write(options.subtitle, 12, false, "#333", 0);
+
+		y += 8 * r;
+
+		options.legend.forEach(i => {
+			if (ctx) {
+				ctx.fillStyle = `rgb(${i.color.slice(0, 3).join(",")})`;
+				ctx.fillRect(x, y, 15 * r, 15 * r);
+			}
+
+			write(i.label, 12, false, "#333", 22 * r);
+
+			y += 4 * r;
+		});
+
+		return y;
+	}
+
+	/**
+	 * Draw a scale bar with a round length, at most 100 map pixels long
+	 * @param {number} scale - the length of a map pixel in metres
+	 */
+	static DrawScale(ctx, scale, x, y, r) {
+		var metres = this.RoundNumber(100 * scale);
+		var width = metres / scale * r;
+		var label = metres >= 1000 ? Format.Number(metres / 1000, 0) + " km" : Format.Number(metres, 0) + " m";
+
+		ctx.fillStyle = "rgba(255,255,255,0.75)";
+		ctx.fillRect(x, y - 18 * r, width, 18 * r);
+
+		ctx.strokeStyle = "#333";
+		ctx.lineWidth = 2 * r;
+		ctx.beginPath();
+		ctx.moveTo(x, y - 18 * r);
+		ctx.lineTo(x, y);
+		ctx.lineTo(x + width, y);
+		ctx.lineTo(x + width, y - 18 * r);
+		ctx.stroke();
+
+		ctx.font = this.Font(11, r);
+		ctx.fillStyle = "#333";
+		ctx.textBaseline = "middle";
+		ctx.fillText(label, x + 4 * r, y - 9 * r);
+	}
+
+	/**
+	 * Round a number down to 1, 2, 3 or 5 times a power of 10
+	 */
+	static RoundNumber(n) {
+		var pow10 = Math.pow(10, Math.floor(Math.log(n) / Math.LN10));
+		var d = n / pow10;
+
+		d = d >= 5 ? 5 : d >= 3 ? 3 : d >= 2 ? 2 : 1;
+
+		return pow10 * d;
+	}
+
+	static Font(size, r, bold) {
+		return `${bold ? "bold " : ""}${size * r}px "Helvetica Neue", Arial, Helvetica, sans-serif`;
+	}
+
+	/**
+	 * Split a text in lines that fit a given width with the current font
+	 * @returns {array} the lines of text
+	 */
+	static Wrap(ctx, text, width) {
+		var lines = [];
+		var line = "";
+
+		text.split(" ").forEach(w => {
+			var test = line ? line + " " + w : w;
+
+			if (line && ctx.measureText(test).width > width) {
+				lines.push(line);
+				line = w;
+			}
+
+			else line = test;
+		});
+
+		if (line) lines.push(line);
+
+		return lines;
+	}
+
+	Template() {
+		return "<div handle='root' class='snapshot mapboxgl-ctrl'>" +
+					"<div handle='label' class='control-label'>Save image</div>" +
+					"<div class='snapshot-buttons'>" +
+						"<label for='snapshot-ratio'>nls(Snapshot_Resolution)</label>" +
+						"<select handle='ratio' id='snapshot-ratio'>" +
+							"<option value='1'>1×</option>" +
+							"<option value='2' selected>2×</option>" +
+							"<option value='3'>3×</option>" +
+						"</select>" +
+						"<button handle='save' type='button' title='nls(Snapshot_Title)'>nls(Snapshot_Button)</button>" +
+					"</div>" +
+				"</div>";
+	}
+}
@@ -0,0 +1,141 @@
+import { Core, Net } from './web-mapping-components/web-mapping-components.js';
+
+import Schema from "./schema.js";
+
+/**
+ * Startup class, loads the configuration files of the application. Requests that fail for
+ * a transient reason (network error, busy server) are retried. Optional files fall back to
+ * a default value, the failures of the other files are collected so they can be reported
+ * all at once. Files are validated against the JSON Schemas of src/config/schemas.
+ * @class
+ */
+export default class Startup {
+
+	/**
+	 * Get the failures of the required files
+	 * @returns {array} list of failures, { url, reason, status, problems }
+	 */
+	get Failures() {
+		return this.failures;
+	}
+
+	/**
+	 * @param {number} retries - the number of times a transient failure is retried
+	 * @param {number} delay - the delay before the first retry, in milliseconds, doubled on each retry
+	 */
+	constructor(retries, delay) {
+		this.retries = retries;
+		this.delay = delay;
+		this.failures = [];
+		this.schemas = {};
+	}
+
+	/**
+	 * Load a required JSON file, its failure is added to the failures
+	 * @param {string} url - the url of the file
+	 * @param {string} schema - optional, the name of the schema of the file (e.g. "map" for map.schema.json)
+	 * @returns {promise} resolved with the JSON, rejected with the failure, { url, reason, status, problems }
+	 */
+	Load(url, schema) {
+		return this.Get(url, schema).catch(failure => this.Fail(failure));
+	}
+
+	/**
+	 * Load an optional JSON file, the fallback value is used if it fails to load
+	 * @param {string} url - the url of the file
+	 * @param {*} fallback - the value used if the file fails to load
+	 * @param {string} schema - optional, the name of the schema of the file
+	 * @returns {promise} resolved with the JSON or the fallback value
+	 */
+	Optional(url, fallback, schema) {
+		return this.Get(url, schema).catch(failure => {
+			// Missing optional files are expected, other failures are worth a warning
+			if (failure.status != 404) console.warn(`${failure.url} : ${failure.reason}`);
+
+			return fallback;
+		});
+	}
+
+	/**
+	 * Add a failure to the failures
+	 * @param {object} failure - the failure, { url, reason, status, problems }, url is null if the failure isn't about a file
+	 * @returns {promise} a promise rejected with the failure
+	 */
+	Fail(failure) {
+		this.failures.push(failure);
+
+		return Promise.reject(failure);
+	}
+
+	/**
+	 * Load a JSON Schema of src/config/schemas, schemas are only loaded once. The files
+	 * aren't validated if their schema fails to load.
+	 * @param {string} name - the name of the schema
+	 * @returns {promise} resolved with the schema, null if it fails to load
+	 */
+	Schema(name) {
+		var url = `./config/schemas/${name}.schema.json`;
+
+		if (!this.schemas[url]) this.schemas[url] = this.Request(url, this.retries, this.delay).catch(error => {
+			console.warn(`${url} : ${Startup.Failure(url, error).reason}`);
+
+			return null;
+		});
+
+		return this.schemas[url];
+	}
+
+	Get(url, schema) {
+		var p1 = this.Request(url, this.retries, this.delay);
+		var p2 = schema ? this.Schema(schema) : Promise.resolve(null);
+
+		return Promise.all([p1, p2]).then(results => {
+			var problems = results[1] ? Schema.Validate(results[0], results[1]) : [];
+
+			if (problems.length == 0) return results[0];
+
+			problems.forEach(p => console.error(`${url} : ${p}`));
+
+			throw { url:url, reason:Core.Nls("Startup_Invalid"), problems:problems };
+		}, error => {
+			throw Startup.Failure(url, error);
+		});
+	}
+
+	Request(url, retries, delay) {
+		return Net.JSON(url).then(value => value.result, value => {
+			if (retries == 0 || !Startup.IsTransient(value.error)) throw value.error;
+
+			return new Promise(resolve => setTimeout(resolve, delay)).then(() => this.Request(url, retries - 1, delay * 2));
+		});
+	}
+
+	/**
+	 * Get the failure of a request, with a reason the user can act on
+	 * @param {string} url - the url requested
+	 * @param {object} error - the error of the request, see Net.JSON
+	 * @returns {object} the failure, { url, reason, status }
+	 */
+	static Failure(url, error) {
+		var reason = error.message;
+
+		if (error.line) reason = Core.Nls("Startup_Parse_Position", [error.line, error.column]);
+
+		else if (error instanceof SyntaxError) reason = Core.Nls("Startup_Parse", [error.message]);
+
+		else if (error.status === 0) reason = Core.Nls("Startup_Network");
+
+		else if (error.status) reason = Core.Nls("Startup_Http", [error.message]);
+
+		return { url:error.url || url, reason:reason, status:error.status };
+	}
+
+	/**
+	 * Check if a request may succeed when retried
+	 * @param {object} error - the error of the request
+	 * @returns {boolean} true for network errors, timeouts, rate limits and server errors
+	 */
+	static IsTransient(error) {
+		return error.status === 0 || error.status == 408 || error.status == 429 || error.status >= 500;
+	}
+}
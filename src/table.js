@@ -0,0 +1,209 @@
+import { Core, Dom, Control } from './web-mapping-components/web-mapping-components.js';
+
+import Features from "./features.js";
+import Format from "./format.js";
+
+/**
+ * Table class, a paged and sortable attribute table control listing map features
+ * @class
+ */
+export default class Table extends Control {
+
+	/**
+	 * Check if the table is shown
+	 * @returns {boolean} true if the table is shown, false otherwise
+	 */
+	get Visible() {
+		return !Dom.HasClass(this.Node("root"), "hidden");
+	}
+
+	constructor(options) {
+		super(options);
+
+		this._container = this.Node('root');
+
+		this.field = options.field;
+		this.rows = options.rows || 10;
+		this.fields = [];
+		this.items = [];
+		this.page = 0;
+		this.sort = { field:null, ascending:true };
+
+		this.Node("previous").addEventListener("click", this.OnPrevious_Click.bind(this));
+		this.Node("next").addEventListener("click", this.OnNext_Click.bind(this));
+
+		this.Hide();
+	}
+
+	/**
+	 * Show the table
+	 */
+	Show() {
+		Dom.RemoveClass(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Hide the table
+	 */
+	Hide() {
+		Dom.AddClasses(this.Node("root"), "hidden");
+	}
+
+	/**
+	 * Set the table columns
+	 * @param {array} fields - the map fields, as provided by Configuration.Fields
+	 */
+	Reload(fields) {
+		this.fields = fields || [];
+		this.sort = { field:null, ascending:true };
+		this.page = 0;
+
+		Dom.Empty(this.Node("header"));
+
+		this.fields.forEach(f => {
+			var th = Dom.Create("th", { scope:"col" }, this.Node("header"));
+			var btn = Dom.Create("button", { type:"button", className:"sort", title:Core.Nls("Table_Sort_Title"), textContent:f.label }, th);
+
+			btn.addEventListener("click", this.OnSort_Click.bind(this, f));
+		});
+
+		this.Populate([]);
+	}
+
+	/**
+	 * Set the features listed in the table. Features split across tiles are listed once.
+	 * @param {array} features - a list of map features
+	 */
+	Populate(features) {
+		this.items = Features.Collect(features, this.field, this.fields);
+
+		this.items.forEach(i => i.display = Format.Fields(i.values, this.fields));
+
+		this.Sort();
+		this.Draw();
+	}
+
+	/**
+	 * Sort the table items on the current sort field, missing values are always last
+	 */
+	Sort() {
+		if (!this.sort.field) return;
+
+		var id = this.sort.field;
+		var dir = this.sort.ascending ? 1 : -1;
+
+		this.items.sort((a, b) => {
+			var v1 = a.values[id];
+			var v2 = b.values[id];
+
+			if (v1 === v2) return 0;
+
+			if (v1 === null || v1 === undefined) return 1;
+
+			if (v2 === null || v2 === undefined) return -1;
+
+			return (v1 > v2 ? 1 : -1) * dir;
+		});
+	}
+
+	/**
+	 * Draw the current page of the table
+	 */
+	Draw() {
+		var pages = Math.max(1, Math.ceil(this.items.length / this.rows));
+
+		this.page = Math.min(this.page, pages - 1);
+
+		Dom.Empty(this.Node("body"));
+
+		this.items.slice(this.page * this.rows, (this.page + 1) * this.rows).forEach(i => this.AddRow(i));
+
+		for (var i = 0; i < this.Node("header").children.length; i++) {
+			var th = this.Node("header").children[i];
+			var sorted = this.fields[i].id == this.sort.field;
+
+			Dom.ToggleClass(th, "sort-asc", sorted && this.sort.ascending);
+			Dom.ToggleClass(th, "sort-desc", sorted && !this.sort.ascending);
+		}
+
+		this.Node("current").innerHTML = Core.Nls("Table_Current_Page", [this.page + 1, pages]);
+		this.Node("previous").disabled = this.page == 0;
+		this.Node("next").disabled = this.page >= pages - 1;
+
+		Dom.ToggleClass(this.Node("message"), "hidden", this.items.length > 0);
+		Dom.ToggleClass(this.Node("table"), "hidden", this.items.length == 0);
+	}
+
+	/**
+	 * Add a row to the table body
+	 * @param {object} item - the table item to add
+	 */
+	AddRow(item) {
+		var tr = Dom.Create("tr", { tabIndex:0 }, this.Node("body"));
+
+		this.fields.forEach(f => {
+			var v = item.display[f.id];
+
+			if (v === null || v === undefined || v === "") v = Core.Nls("Map_Not_Available");
+
+			Dom.Create("td", { textContent:v }, tr);
+		});
+
+		tr.addEventListener("click", this.OnRow_Click.bind(this, item));
+		tr.addEventListener("keydown", this.OnRow_Keydown.bind(this, item));
+	}
+
+	OnSort_Click(field, ev) {
+		if (this.sort.field == field.id) this.sort.ascending = !this.sort.ascending;
+
+		else this.sort = { field:field.id, ascending:true };
+
+		this.page = 0;
+
+		this.Sort();
+		this.Draw();
+	}
+
+	OnPrevious_Click(ev) {
+		this.page--;
+
+		this.Draw();
+	}
+
+	OnNext_Click(ev) {
+		this.page++;
+
+		this.Draw();
+	}
+
+	OnRow_Click(item, ev) {
+		this.Emit("RowSelected", { item:item });
+	}
+
+	OnRow_Keydown(item, ev) {
+		if (ev.keyCode != 13) return;
+
+		ev.preventDefault();
+
+		this.Emit("RowSelected", { item:item });
+	}
+
+	Template() {
+		return "<div handle='root' class='table-widget mapboxgl-ctrl'>" +
+				  "<h2 class='table-title'>nls(Table_Title)</h2>" +
+				  "<div class='table-summary'>nls(Table_Summary)</div>" +
+				  "<div handle='message' class='table-message'>nls(Table_Message)</div>" +
+				  "<div class='table-container'>" +
+					  "<table handle='table'>" +
+						  "<thead><tr handle='header'></tr></thead>" +
+						  "<tbody handle='body'></tbody>" +
+					  "</table>" +
+				  "</div>" +
+				  "<div class='navigation'>" +
+					  "<button handle='previous' type='button' class='previous'>nls(Table_Previous_Button)</button>" +
+					  "<span handle='current' class='current'></span>" +
+					  "<button handle='next' type='button' class='next'>nls(Table_Next_Button)</button>" +
+				  "</div>" +
+			   "</div>";
+	}
+}
@@ -0,0 +1,136 @@
+import { Net } from './web-mapping-components/web-mapping-components.js';
+
+/**
+ * The UrlState class contains various utility methods used to read and write the
+ * viewer state (map, layer, center, zoom, opacity, legend and search item) in the
+ * document URL, so that a link to the viewer opens the same view.
+ * @class
+ */
+export default class UrlState {
+
+	/**
+	 * Get the map id from the document URL
+	 * @returns {string} - map id, null if not provided
+	 */
+	static get Map() {
+		return Net.GetUrlParameter("map") || null;
+	}
+
+	/**
+	 * Get the TOC layer id from the document URL
+	 * @returns {string} - layer id, null if not provided
+	 */
+	static get Layer() {
+		return Net.GetUrlParameter("layer") || null;
+	}
+
+	/**
+	 * Get the latitude of the map center from the document URL
+	 * @returns {number} - latitude value, null if not provided
+	 */
+	static get Lat() {
+		return this.GetNumber("lat", -90, 90);
+	}
+
+	/**
+	 * Get the longitude of the map center from the document URL
+	 * @returns {number} - longitude value, null if not provided
+	 */
+	static get Lng() {
+		return this.GetNumber("lng", -180, 180);
+	}
+
+	/**
+	 * Get the map zoom level from the document URL
+	 * @returns {number} - map zoom level, null if not provided
+	 */
+	static get Zoom() {
+		return this.GetNumber("zoom", 0, 22);
+	}
+
+	/**
+	 * Get the layer opacity from the document URL
+	 * @returns {number} - opacity value ranging from 0 - 1, null if not provided
+	 */
+	static get Opacity() {
+		return this.GetNumber("opacity", 0, 1);
+	}
+
+	/**
+	 * Get the legend checkbox states from the document URL. States are stored as a
+	 * string of 0 and 1, one character per legend checkbox (e.g. 10111111).
+	 * @returns {array} - list of checkbox states (true if checked), null if not provided
+	 */
+	static get Legend() {
+		let value = Net.GetUrlParameter("legend");
+
+		if (!value || !/^[01]+$/.test(value)) return null;
+
+		return value.split("").map(c => c === "1");
+	}
+
+	/**
+	 * Get the id of the selected search item from the document URL
+	 * @returns {string} - search item id, null if not provided
+	 */
+	static get Search() {
+		return Net.GetUrlParameter("search") || null;
+	}
+
+	/**
+	 * Get a numeric parameter from the document URL
+	 * @param {string} name - name of the URL parameter
+	 * @param {number} min - minimum valid value
+	 * @param {number} max - maximum valid value
+	 * @returns {number} - the parameter value, null if missing or invalid
+	 */
+	static GetNumber(name, min, max) {
+		let value = Net.GetUrlParameter(name);
+
+		if (value === null || value === "") return null;
+
+		value = Number(value);
+
+		if (isNaN(value) || value < min || value > max) return null;
+
+		return value;
+	}
+
+	/**
+	 * Convert the legend checkbox states to a string of 0 and 1
+	 * @param {array} chkBoxesState - the legend chkBoxesState list
+	 * @returns {string} - the legend state string, null if the legend has no checkboxes
+	 */
+	static LegendToString(chkBoxesState) {
+		if (!chkBoxesState || chkBoxesState.length == 0) return null;
+
+		return chkBoxesState.map(s => s.checkbox.checked ? "1" : "0").join("");
+	}
+
+	/**
+	 * Replace the document URL query string with the provided viewer state. The
+	 * browser history is not modified, only the current entry is replaced.
+	 * @param {object} state - dictionary of URL parameters, null or undefined values are omitted
+	 * Example:
+	 * {
+	 * 		map: "population",
+	 * 		layer: "da",
+	 * 		lat: 45.421,
+	 * 		lng: -75.69,
+	 * 		zoom: 11
+	 * }
+	 */
+	static Write(state) {
+		let params = [];
+
+		for (let id in state) {
+			if (state[id] === null || state[id] === undefined || state[id] === "") continue;
+
+			params.push(id + "=" + encodeURIComponent(state[id]));
+		}
+
+		let query = params.length > 0 ? "?" + params.join("&") : "";
+
+		window.history.replaceState(null, "", window.location.pathname + query + window.location.hash);
+	}
+}
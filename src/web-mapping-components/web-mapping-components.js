@@ -53,6 +53,39 @@ class Util {
 		};
 	}
 	
+	/**
+	* Throttles a function. The function will be executed at most once per
+	* threshold, the last call made while waiting is executed when the 
+	* threshold ends
+	*
+	* @param {function} delegate - the Function to throttle
+	* @param {integer} threshold - the minimum time between executions, in milliseconds
+	* @returns {function} the throttled function
+	*/
+	static Throttle(delegate, threshold) {
+		var timeout = null;
+		var pending = null;
+		
+		function run() {
+			if (!pending) {
+				timeout = null;
+				
+				return;
+			}
+			
+			delegate.apply(pending.context, pending.args);
+			
+			pending = null;
+			timeout = setTimeout(run, threshold || 100);
+		}
+		
+		return function throttled () {
+			pending = { context:this, args:arguments };
+			
+			if (!timeout) run();
+		};
+	}
+	
 	/**
 	* Formats a String using substitute strings
 	*
@@ -538,7 +571,8 @@ class Net {
 	*
 	* Parameters :
 	*	url : String, the request URL
-	* Return : none
+	* Return : Promise, rejected with { error } where error has the url and the HTTP
+	*		   status of the request, status is 0 if the server couldn't be reached
 	*
 	* TODO : This should return a promise object but (ie11)
 	*
@@ -554,7 +588,10 @@ class Net {
 			if (this.status == 200) d.Resolve(this.response);
 			
 			else {
-				var error = new Error(this.status + " " + this.statusText);
+				var error = new Error(this.status ? this.status + " " + this.statusText : "Network error");
+
+				error.url = url;
+				error.status = this.status;
 
 				d.Reject(error);
 			}
@@ -570,16 +607,51 @@ class Net {
 	/**
 	 * Request a JSON file 
 	 * @param {string} url reference to a json file
-	 * @returns a promise to the json file being requested
+	 * @returns a promise to the json file being requested, rejected with { error } where error
+	 * has the url and either the HTTP status of the request or the line and column of invalid JSON
 	 */
 	static JSON(url) {
 		var d = Core.Defer();
 		
-		Net.Request(url).then(r => d.Resolve(JSON.parse(r.result)), d.Reject);
+		Net.Request(url).then(r => {
+			try {
+				var json = JSON.parse(r.result);
+			}
+			catch (error) {
+				error.url = url;
+				
+				Util.Mixin(error, Net.JSONPosition(r.result, error));
+				
+				return d.Reject(error);
+			}
+			
+			d.Resolve(json);
+		}, r => d.Reject(r.error));
 				
 		return d.promise;
 	}
 	
+	/**
+	 * Get the position of a JSON parse error in the parsed text. Browsers report the position
+	 * either as an offset in the text or as a line and column, in the error message.
+	 * @param {string} text - the text parsed
+	 * @param {object} error - the SyntaxError thrown by JSON.parse
+	 * @returns {object} the position of the error, { line, column }, empty if the message has no position
+	 */
+	static JSONPosition(text, error) {
+		var line = /line (\d+) column (\d+)/.exec(error.message);
+		
+		if (line) return { line:Number(line[1]), column:Number(line[2]) };
+		
+		var position = /position (\d+)/.exec(error.message);
+		
+		if (!position) return {};
+		
+		var lines = text.slice(0, Number(position[1])).split("\n");
+		
+		return { line:lines.length, column:lines[lines.length - 1].length + 1 };
+	}
+	
 	/**
 	* Get a parameter value from the document URL
 	*
@@ -606,16 +678,20 @@ class Net {
 	*
 	* Parameters :
 	*	name : String, the name of the file to download
-	*	content : 
+	*	content : String or Blob, the content of the file. Binary content (e.g. images) must be a Blob
 	* Return : none
 	*/
 	static Download(name, content) {
 		var link = document.createElement("a");
+		var url = (content instanceof Blob) ? URL.createObjectURL(content) : null;
 		
-		link.href = "data:application/octet-stream," + encodeURIComponent(content);
+		link.href = url || "data:application/octet-stream," + encodeURIComponent(content);
 		link.download = name;
 		link.click();
 		link = null;
+		
+		// Release the blob once the browser had a chance to start the download
+		if (url) setTimeout(() => URL.revokeObjectURL(url), 1000);
 	}
 	
 	/**
@@ -757,6 +833,48 @@ class Store {
 	static set Layer(value) {
 		localStorage.setItem("lode-layer", value);
 	}
+	
+	/**
+	 * Get the lode-basemap basemap from localStorage
+	 * @returns {string} - basemap id, null if no basemap was chosen
+	 */
+	static get Basemap() {
+		return localStorage.getItem("lode-basemap");
+	}
+	
+	/**
+	 * Set the lode-basemap basemap in localStorage
+	 * @param {string} value - basemap id
+	 */
+	static set Basemap(value) {
+		localStorage.setItem("lode-basemap", value);
+	}
+
+	/**
+	 * Get the lode-selection selected feature from localStorage
+	 * @returns {object} the selected feature details, null if no feature is selected
+	 */
+	static get Selection() {
+		let selection = localStorage.getItem("lode-selection");
+		
+		// A corrupted value is ignored rather than stopping the application
+		try {
+			return selection ? JSON.parse(selection) : null;
+		}
+		catch (error) {
+			return null;
+		}
+	}
+	
+	/**
+	 * Set the lode-selection selected feature in localStorage
+	 * @param {object} value the selected feature details, null to clear the selection
+	 */
+	static set Selection(value) {
+		if (value) localStorage.setItem("lode-selection", JSON.stringify(value));
+		
+		else localStorage.removeItem("lode-selection");
+	}
 
 	/**
 	 * Get the current search-item from the sessionStorage
@@ -1111,6 +1229,120 @@ class Tooltip extends Templated  {
  */
 var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead extends Templated {
 	
+	/**
+	 * Get the accented characters folded when matching, with their unaccented letters
+	 * @returns {object} dictionary of unaccented letters, by accented character
+	 */
+	static get Accents() {
+		var accents = { a:"àáâãäå", c:"ç", e:"èéêë", i:"ìíîï", n:"ñ", o:"òóôõö", u:"ùúûü", y:"ýÿ", oe:"œ", ae:"æ" };
+		var map = {};
+		
+		for (var letter in accents) {
+			accents[letter].split("").forEach(c => map[c] = letter);
+		}
+		
+		return map;
+	}
+	
+	/**
+	 * Fold a text for matching, it is lowercased, accents are removed, apostrophes
+	 * are removed and other punctuation is replaced by single spaces.
+	 * 
+	 * Example: Typeahead.Fold("St. Joseph's") -> { text:"st josephs", index:[0, 1, 3, ...] }
+	 * 
+	 * @param {string} text the text to fold
+	 * @returns {object} the folded text and, for each of its characters, the index of the character it comes from
+	 */
+	static Fold(text) {
+		var accents = this.accents || (this.accents = this.Accents);
+		var folded = "";
+		var index = [];
+		
+		for (var i = 0; i < text.length; i++) {
+			var c = text.charAt(i).toLowerCase();
+			
+			if (c == "'" || c == "\u2019") continue;
+			
+			// Control characters (e.g. from badly encoded names) aren't part of the words
+			if (/[\u0000-\u001f\u007f-\u009f]/.test(c) && !/\s/.test(c)) continue;
+			
+			c = accents[c] || c;
+			
+			// Whitespace and punctuation are collapsed into a single space
+			if (/[\s!-\/:-@\[-`{-~\u2013\u2014\u00ab\u00bb]/.test(c)) {
+				if (folded.length == 0 || folded.charAt(folded.length - 1) == " ") continue;
+				
+				c = " ";
+			}
+			
+			for (var j = 0; j < c.length; j++) index.push(i);
+			
+			folded += c;
+		}
+		
+		if (folded.charAt(folded.length - 1) == " ") {
+			folded = folded.slice(0, -1);
+			index.pop();
+		}
+		
+		return { text:folded, index:index };
+	}
+	
+	/**
+	 * Find the substring of a text closest to a query, allowing a few typos
+	 * @param {string} text the folded text to search
+	 * @param {string} query the folded query
+	 * @param {number} max the maximum number of insertions, deletions or substitutions
+	 * @returns {object} the closest substring, { distance, start, length }, null if none is close enough
+	 */
+	static Approximate(text, query, max) {
+		var m = query.length;
+		var prev = [];
+		var prevStart = [];
+		var best = null;
+		
+		for (var i = 0; i <= m; i++) {
+			prev.push(i);
+			prevStart.push(0);
+		}
+		
+		// Edit distance table where the query may start anywhere in the text, one column at a time
+		for (var j = 1; j <= text.length; j++) {
+			var curr = [0];
+			var currStart = [j];
+			
+			for (var i = 1; i <= m; i++) {
+				var d = prev[i - 1] + (query.charAt(i - 1) == text.charAt(j - 1) ? 0 : 1);
+				var s = prevStart[i - 1];
+				
+				if (prev[i] + 1 < d) {
+					d = prev[i] + 1;
+					s = prevStart[i];
+				}
+				
+				if (curr[i - 1] + 1 < d) {
+					d = curr[i - 1] + 1;
+					s = currStart[i - 1];
+				}
+				
+				curr.push(d);
+				currStart.push(s);
+			}
+			
+			// A span as close that starts at the same position is extended, it matches more of the query
+			var extended = best && curr[m] == best.distance && currStart[m] == best.start;
+			
+			if (curr[m] <= max && (!best || curr[m] < best.distance || extended)) {
+				best = { distance:curr[m], start:currStart[m], length:j - currStart[m] };
+			}
+			
+			prev = curr;
+			prevStart = currStart;
+		}
+		
+		return best;
+	}
+	
 	/** 
 	 * Set the placeholder text for the search input
 	 * @param {string} value Placeholder text
@@ -1129,17 +1361,20 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 	
 	/**
 	 * Set the typeahead items
-	 * @param {array} value list of typeahead items
+	 * @param {array} value list of typeahead items, items with a tag show it after their label (e.g. the level of a geography)
 	 */
 	set items(value) {
-		this._items = value.map(i => {
-			var li = Dom.Create("li", { innerHTML : i.label, tabIndex : -1 });
-			var item = { data : i, node : li };
-			
-			li.addEventListener("mousedown", this.onLiClick_Handler.bind(this, item));
-			
-			return item; 
-		});
+		this._items = value.map(i => this.Item(i));
+	}
+	
+	/**
+	 * Add typeahead items, the items are kept sorted by label
+	 * @param {array} value list of typeahead items
+	 */
+	AddItems(value) {
+		this._items = this._items.concat(value.map(i => this.Item(i)));
+		
+		this._items.sort((a, b) => a.data.label > b.data.label ? 1 : -1);
 	}
 	
 	/**
@@ -1166,6 +1401,13 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 		this._curr = null;
 		this._temp = null;
 		
+		// Maximum number of suggestions shown and number of characters typed before they are shown
+		this.max = 10;
+		this.minLength = 2;
+		
+		// Function returning items suggested for a text, shown before the matching items (e.g. coordinates)
+		this.suggest = null;
+		
 		this.Node("input").addEventListener("input", function(ev) { this.OnInputInput_Handler(ev); }.bind(this));	
 
 		// this.Node("input").addEventListener("click", this.OnInputClick_Handler.bind(this));
@@ -1179,6 +1421,22 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 		this.items = options.items;
 	}
 	
+	/**
+	 * Create a typeahead item, with its list node
+	 * @param {object} data the item data, items with a tag show it after their label (e.g. the level of a geography)
+	 * @returns {object} the typeahead item
+	 */
+	Item(data) {
+		var li = Dom.Create("li", { innerHTML : data.label, tabIndex : -1 });
+		var item = { data : data, node : li, folded : Typeahead.Fold(data.label) };
+		
+		if (data.tag) Dom.Create("span", { className:"typeahead-tag", textContent:data.tag }, li);
+		
+		li.addEventListener("mousedown", this.onLiClick_Handler.bind(this, item));
+		
+		return item;
+	}
+	
 	// Empty the list of typeahead suggestions
 	Empty() {
 		Dom.Empty(this.Node("list"));
@@ -1187,19 +1445,44 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 	}
 	
 	/**
-	 * Create a filtered list of typeahead search results and add them to the list
+	 * Create a filtered list of typeahead search results and add them to the list. Matching
+	 * ignores case, accents and punctuation. Results are ranked, labels starting with the
+	 * text first, then labels with a word starting with the text, then labels containing
+	 * the text, then labels containing the text with a typo. Only the best results are kept.
+	 * Suggested items come first, they don't have to match the text.
 	 * @param {string} mask search input box text
 	 */
 	Fill(mask) {
-		this._filt = this._items.filter(i => compare(i.data.label, mask));
+		var query = Typeahead.Fold(mask).text;
+		var suggested = this.suggest ? this.suggest(mask).map(d => this.Item(d)) : [];
+		var matches = [];
+		
+		if (query.length > 0) {
+			this._items.forEach((item, i) => {
+				var match = this.Match(item.folded.text, query);
+				
+				if (!match) return;
+				
+				match.item = item;
+				match.order = i;
+				
+				matches.push(match);
+			});
+		}
+		
+		matches.sort((a, b) => (a.rank - b.rank) || (a.distance - b.distance) || (a.start - b.start) || (a.order - b.order));
+		
+		this._filt = suggested.concat(matches.slice(0, Math.max(0, this.max - suggested.length)).map(m => {
+			this.Highlight(m.item, m.start, m.length);
+			
+			return m.item;
+		}));
 		
 		var frag = document.createDocumentFragment();
 		
 		for (var i = 0; i < this._filt.length; i++) {
 			var curr = this._filt[i];
 			
-			// Maybe insert <b> at right index instead, faster?
-			curr.node.innerHTML = curr.data.label.replace(mask, `<b>${mask}</b>`);
 			curr.next = this._filt[(i + 1) % this._filt.length];
 			curr.next.prev = curr;
 		
@@ -1207,10 +1490,56 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 		}
 				
 		Dom.Place(frag, this.Node("list"));
+	}
+	
+	/**
+	 * Match a folded label with a folded query
+	 * @param {string} text the folded label
+	 * @param {string} query the folded query
+	 * @returns {object} the match, { rank, distance, start, length } where start and length locate the matched span in the folded label, null if the label doesn't match
+	 */
+	Match(text, query) {
+		var i = text.indexOf(query);
+		
+		if (i == 0) return { rank:0, distance:0, start:0, length:query.length };
 		
-		function compare(label, mask) {
-			return label.toLowerCase().indexOf(mask.toLowerCase()) !== -1
+		if (i > 0) {
+			var word = text.indexOf(" " + query);
+			
+			if (word > -1) return { rank:1, distance:0, start:word + 1, length:query.length };
+			
+			return { rank:2, distance:0, start:i, length:query.length };
 		}
+		
+		// Short queries match too many labels when typos are allowed
+		if (query.length < 4) return null;
+		
+		var fuzzy = Typeahead.Approximate(text, query, query.length < 8 ? 1 : 2);
+		
+		return fuzzy && { rank:3, distance:fuzzy.distance, start:fuzzy.start, length:fuzzy.length };
+	}
+	
+	/**
+	 * Show an item label with the matched span in bold
+	 * @param {object} item the typeahead item
+	 * @param {number} start the start of the matched span, in the folded label
+	 * @param {number} length the length of the matched span, in the folded label
+	 */
+	Highlight(item, start, length) {
+		var label = item.data.label;
+		var index = item.folded.index;
+		var from = index[start];
+		var to = index[start + length - 1] + 1;
+		
+		Dom.Empty(item.node);
+		
+		item.node.appendChild(document.createTextNode(label.slice(0, from)));
+		
+		Dom.Create("b", { textContent:label.slice(from, to) }, item.node);
+		
+		item.node.appendChild(document.createTextNode(label.slice(to)));
+		
+		if (item.data.tag) Dom.Create("span", { className:"typeahead-tag", textContent:item.data.tag }, item.node);
 	}
 	
 	// Toggle collapsed class on typeahead DOM element
@@ -1236,13 +1565,17 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 	 * @param {InputEvent} ev
 	 */
 	OnInputInput_Handler(ev) {
-		// If input is less than 3 character in length, do nothing
-		if (ev.target.value.length < 3) return;
+		this.Refresh();
+	}
+	
+	// Fill the typeahead suggestions again for the text of the input, e.g. once items are added
+	Refresh() {
+		var value = this.Node("input").value;
 		
 		this.Empty();
 		
-		// Fill in typeahead suggestions 
-		this.Fill(ev.target.value);
+		// If input is too short, only clear the suggestions
+		if (value.length >= this.minLength) this.Fill(value);
 		
 		this.UpdateClass();
 	}
@@ -1252,8 +1585,8 @@ var typeahead = Core.Templatable("Basic.Components.Typeahead", class Typeahead e
 	 * @param {FocusEvent} ev
 	 */
 	OnInputClick_Handler(ev) {
-		// If input is less than 3 character in length, do nothing
-		if (ev.target.value.length < 3) return;
+		// If input is too short, do nothing
+		if (ev.target.value.length < this.minLength) return;
 		
 		// Fill in typeahead suggestions 
 		this.Fill(ev.target.value);
@@ -1705,6 +2038,60 @@ let n = 0;
  * @class
  */
 class Legend extends Control { 
+	
+	get SelectAllBtnLabel() {
+		let label = {
+			en: "All",
+			fr: "Tous"
+		};
+
+		return label[Core.locale] || ""
+	}
+	
+	get SelectAllBtnTitle() {
+		let label = {
+			en: "Show all classes",
+			fr: "Afficher toutes les classes"
+		};
+
+		return label[Core.locale] || ""
+	}
+	
+	get InvertBtnLabel() {
+		let label = {
+			en: "Invert",
+			fr: "Inverser"
+		};
+
+		return label[Core.locale] || ""
+	}
+	
+	get InvertBtnTitle() {
+		let label = {
+			en: "Invert the selected classes",
+			fr: "Inverser les classes sélectionnées"
+		};
+
+		return label[Core.locale] || ""
+	}
+	
+	get OnlyBtnLabel() {
+		let label = {
+			en: "Only",
+			fr: "Seule"
+		};
+
+		return label[Core.locale] || ""
+	}
+	
+	get OnlyBtnTitle() {
+		let label = {
+			en: "Show only this class",
+			fr: "Afficher seulement cette classe"
+		};
+
+		return label[Core.locale] || ""
+	}
 		
 	constructor(options) {
 		super(options);
@@ -1718,6 +2105,9 @@ class Legend extends Control {
 		this.chkBoxes = null;
 		this.chkBoxesState = null;
 		
+		this.Node("select-all").addEventListener("click", this.SelectAll.bind(this));
+		this.Node("invert").addEventListener("click", this.Invert.bind(this));
+		
 		this.Reload(options.config, options.title, options.banner, options.subtitle);
 	}
 	
@@ -1761,10 +2151,13 @@ class Legend extends Control {
 				this.AddLegendItem(legendItem);
 			}
 		}
+		
+		// Legend actions are only useful when there is more than one class
+		Dom.ToggleClass(this.Node("actions"), "hidden", this.chkBoxes.length < 2);
 	}
 
 	AddLegendItem(item) {
-		var chkBox, svg, icn, lbl, i, id, div;
+		var chkBox, svg, icn, lbl, only, i, id, div;
 		if (!item.label && !item.group) return;
 		
 		id = "legend-check-" + ++n;
@@ -1791,11 +2184,14 @@ class Legend extends Control {
 			icn = Dom.CreateSVG("rect", { width:15, height:15 }, svg);
 			lbl = Dom.Create("label", { innerHTML:item.label }, div);
 
+			only = Dom.Create("button", { type:"button", className:"legend-only", innerHTML:this.OnlyBtnLabel, title:this.OnlyBtnTitle }, div);
+
 			lbl.setAttribute("for", id);
    
 			this.chkBoxes.push(chkBox);
 
 			chkBox.addEventListener("change", this.OnCheckbox_Checked.bind(this));
+			only.addEventListener("click", this.SelectOnly.bind(this, chkBox));
 
 			icn.setAttribute('fill', `rgb(${item.color.join(",")})`);
 	
@@ -1819,6 +2215,10 @@ class Legend extends Control {
 			if (legendItem.value) {
 				style.value = legendItem.value;
 			}
+
+			if (legendItem.step) {
+				style.step = legendItem.step;
+			}
 		}
 
 		return style;
@@ -1854,6 +2254,52 @@ class Legend extends Control {
 		return styleCollection;
 	}	
 
+	/**
+	 * Get the checked state of each legend checkbox
+	 * @returns {array} list of checkbox states (true if checked), in legend order
+	 */
+	GetState() {
+		return this.chkBoxesState.map(s => s.checkbox.checked);
+	}
+
+	/**
+	 * Check or uncheck the legend checkboxes. No LegendChange event is emitted.
+	 * @param {array} states list of checkbox states (true if checked), in legend order
+	 */
+	SetState(states) {
+		this.chkBoxesState.forEach((s, i) => {
+			if (i < states.length) s.checkbox.checked = !!states[i];
+		});
+	}
+
+	/**
+	 * Check all legend checkboxes
+	 */
+	SelectAll() {
+		this.chkBoxes.forEach(c => c.checked = true);
+
+		this.OnCheckbox_Checked();
+	}
+
+	/**
+	 * Invert the checked state of all legend checkboxes
+	 */
+	Invert() {
+		this.chkBoxes.forEach(c => c.checked = !c.checked);
+
+		this.OnCheckbox_Checked();
+	}
+
+	/**
+	 * Check a single legend checkbox and uncheck all the others
+	 * @param {object} chkBox the checkbox input to keep checked
+	 */
+	SelectOnly(chkBox) {
+		this.chkBoxes.forEach(c => c.checked = (c === chkBox));
+
+		this.OnCheckbox_Checked();
+	}
+
 	OnCheckbox_Checked(ev) {
 		this.Emit("LegendChange", { state:this.chkBoxesState });
 	}
@@ -1867,6 +2313,10 @@ class Legend extends Control {
 							"<div handle='subtitle' class='control-label legend-subtitle'></div>" +
 						"</div>" +
 					"<div handle='legend' class='legend-container'></div>" +
+					"<div handle='actions' class='legend-actions'>" +
+						`<button handle='select-all' type='button' title='${this.SelectAllBtnTitle}'>${this.SelectAllBtnLabel}</button>` +
+						`<button handle='invert' type='button' title='${this.InvertBtnTitle}'>${this.InvertBtnLabel}</button>` +
+					"</div>" +
 				"</div>";
 	}
 }
@@ -2201,11 +2651,26 @@ class Search extends Control {
 		this.field = options.field;
 		this.color = options.color;
 		this.items = options.items;
+		this.patterns = options.patterns || [];
+		this.shards = options.shards || [];
+		
+		// Promises of the shards requested, by url, each shard is fetched once
+		this.cache = {};
+		
+		// Ids of the search items, items of the shards already in the search items aren't added again
+		this.ids = this.Ids(options.items);
 
 		// TODO : This should probably happen outside of the widget.
 		this.Node('typeahead').items = this.Itemize(options.items);
 		this.Node('typeahead').placeholder = options.placeholder;
 		this.Node('typeahead').title = options.title;
+		
+		if (options.max) this.Node('typeahead').max = options.max;
+		
+		if (options.minLength) this.Node('typeahead').minLength = options.minLength;
+		
+		this.Node('typeahead').suggest = this.Suggest.bind(this);
+		this.Node('typeahead').Node('input').addEventListener('input', this.onInput_Handler.bind(this));
 	
 		this.Node('typeahead').On('Change', this.onTypeaheadChange_Handler.bind(this));
 		this.Node('typeahead').On('Focusin', this.onTypeaheadFocusin_Handler.bind(this));
@@ -2227,6 +2692,7 @@ class Search extends Control {
 	 */
 	set searchItems(items) {
 		this.items = items;
+		this.ids = this.Ids(items);
 		this.UpdateSearchItems();
 	}
 
@@ -2253,42 +2719,215 @@ class Search extends Control {
 	Itemize(items) {		
 		return items.sort((a, b) => { return a.label > b.label ? 1 : -1 });
 	}
-
+	
 	/**
-	 * Event handler for typeahead focusin events
-	 * @param {object} ev typeahead focusin change event 
+	 * Get the ids of a list of search items
+	 * @param {array} items list of search items
+	 * @returns {object} dictionary of ids, true for each id
 	 */
-	 onTypeaheadFocusin_Handler(ev) {
-		if (ev.target && ev.target.nodes && ev.target.nodes.input && ev.target.nodes.input.value) {
-			// Clear search input
-			ev.target.nodes.input.value = "";
-		}
+	Ids(items) {
+		var ids = {};
+		
+		items.forEach(i => ids[i.id] = true);
+		
+		return ids;
 	}
 
 	/**
-	 * Event handler for typeahead changes
-	 * @param {object} ev typeahead change event
+	 * Load the shards of search items for a text, the shard of each source is found from
+	 * the first characters of the first word of the text. Items of the shards are added
+	 * to the search items, unless they're already search items. An item is in the shard of
+	 * each word of its name, so it may be in more than one shard.
+	 * 
+	 * Example: "Saint-Jean" loads [path]/sa.json for a source with a key length of 2
+	 * 
+	 * @param {string} text search text
+	 * @returns {Promise} a promise resolved with the list of items of the shards, once they're loaded
 	 */
-	onTypeaheadChange_Handler(ev) {
-		var data = {
-			layer : this.layer,
-			field : this.field,
-			color : this.color,
-			item : ev.item
-		};
+	Load(text) {
+		var word = typeahead.Fold(text).text.split(" ")[0];
 		
-		this.Emit('Change', data);
+		if (word.length == 0) return Promise.resolve([]);
+		
+		var loads = this.shards.map(s => {
+			var url = `${s.path}/${encodeURIComponent(word.slice(0, s.length))}.json`;
+			
+			if (this.cache[url]) return this.cache[url];
+			
+			// Shards that don't exist have no items
+			this.cache[url] = Net.JSON(url).then(value => {
+				var items = s.itemize(value.result);
+				var added = items.filter(i => !this.ids[i.id]);
+				
+				added.forEach(i => this.ids[i.id] = true);
+				
+				this.items = this.items.concat(added);
+				this.Node('typeahead').AddItems(added);
+				
+				return items;
+			}, error => []);
+			
+			return this.cache[url];
+		});
+		
+		return Promise.all(loads).then(results => results.reduce((a, r) => a.concat(r), []));
 	}
 	
 	/**
-	 * Create a template for the search control
-	 * @returns {string} html template for search control
+	 * Get the items suggested for a search text, in addition to the search items. Coordinates
+	 * are suggested as a position, ids matching an id pattern are suggested when they
+	 * aren't search items.
+	 * @param {string} text search input text
+	 * @returns {array} list of suggested items, { type:"position", position, label, tag } or { type:"id", id, level, label, tag }
 	 */
-	Template() {
-		return "<div handle='root' class='search-control mapboxgl-ctrl'>" +
-				  "<div handle='typeahead' widget='Basic.Components.Typeahead'></div>" +
-			   "</div>";
-	}
+	Suggest(text) {
+		var position = Search.ParseCoordinates(text);
+		
+		if (position) {
+			var label = `${position[1].toFixed(5)}, ${position[0].toFixed(5)}`;
+			
+			return [{ type:"position", position:position, label:label, tag:Core.Nls("Search_Coordinates") }];
+		}
+		
+		var id = text.trim();
+		
+		if (this.items.some(i => i.id == id)) return [];
+		
+		return this.patterns.filter(p => new RegExp(p.pattern).test(id)).map(p => {
+			return { type:"id", id:id, level:p.level, label:id, tag:p.tag };
+		});
+	}
+	
+	/**
+	 * Parse coordinates, in decimal degrees or in degrees, minutes and seconds. The latitude
+	 * comes first unless hemisphere letters say otherwise, or the first value can't be a
+	 * latitude. Commas are decimal separators when the coordinates are separated by a semicolon.
+	 * 
+	 * Examples: "45.4215, -75.6972", "45°25'17\"N 75°41'50\"W", "N45 25.3 W75 41.8", "45,4215; -75,6972"
+	 * 
+	 * @param {string} text the text to parse
+	 * @returns {array} the [lng, lat] position, null if the text isn't coordinates
+	 */
+	static ParseCoordinates(text) {
+		var s = text.trim().toUpperCase().replace(/\u2212/g, "-");
+		
+		if (s.indexOf(";") > -1) s = s.replace(/(\d),(\d)/g, "$1.$2").replace(";", " ");
+		
+		// Numbers, degree, minute and second signs, hemisphere letters (O for ouest) and separators only
+		if (!/^[-+\d.,\s\u00b0\u00ba'\u2032\u2019"\u2033NSEWO]+$/.test(s)) return null;
+		
+		var tokens = s.match(/[-+]?\d+(\.\d+)?|[NSEWO]/g) || [];
+		var letters = tokens.filter(t => /[NSEWO]/.test(t));
+		var groups = [];
+		
+		if (letters.length == 0) {
+			if ([2, 4, 6].indexOf(tokens.length) == -1) return null;
+			
+			groups.push({ values:tokens.slice(0, tokens.length / 2), hemisphere:null });
+			groups.push({ values:tokens.slice(tokens.length / 2), hemisphere:null });
+		}
+		
+		else if (letters.length == 2) {
+			// Hemisphere letters come before or after the values of a coordinate
+			var prefix = /[NSEWO]/.test(tokens[0]);
+			var group = null;
+			
+			tokens.forEach(t => {
+				var letter = /[NSEWO]/.test(t);
+				
+				if (!group || (prefix && letter)) groups.push(group = { values:[], hemisphere:null });
+				
+				if (letter) group.hemisphere = t;
+				
+				else group.values.push(t);
+				
+				if (letter && !prefix) group = null;
+			});
+		}
+		
+		if (groups.length != 2) return null;
+		
+		var values = groups.map(g => {
+			var v = g.values.map(Number);
+			
+			// Minutes and seconds are positive and below 60
+			if (v.length == 0 || v.length > 3 || v.slice(1).some(n => n < 0 || n >= 60)) return NaN;
+			
+			var degrees = Math.abs(v[0]) + (v[1] || 0) / 60 + (v[2] || 0) / 3600;
+			var negative = g.values[0].charAt(0) == "-" || ["S", "W", "O"].indexOf(g.hemisphere) > -1;
+			
+			return negative ? -degrees : degrees;
+		});
+		
+		if (values.some(v => isNaN(v))) return null;
+		
+		var lat = ["N", "S"];
+		var swap = groups[0].hemisphere ? lat.indexOf(groups[0].hemisphere) == -1 : Math.abs(values[0]) > 90;
+		
+		// Both coordinates can't be on the same axis
+		if (groups[0].hemisphere && (lat.indexOf(groups[0].hemisphere) == -1) == (lat.indexOf(groups[1].hemisphere) == -1)) return null;
+		
+		var position = swap ? values : [values[1], values[0]];
+		
+		return (Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90) ? position : null;
+	}
+	
+	/**
+	 * Event handler for search input, the shards for the text are loaded and the suggestions
+	 * are refreshed once they're added, for the text of the input at that time
+	 * @param {object} ev input event
+	 */
+	onInput_Handler(ev) {
+		var input = this.Node('typeahead').Node('input');
+		
+		if (this.shards.length == 0 || input.value.length < this.Node('typeahead').minLength) return;
+		
+		var requested = Object.keys(this.cache).length;
+		var load = this.Load(input.value);
+		
+		// The shards were already requested, their items are suggested already or will be once loaded
+		if (Object.keys(this.cache).length == requested) return;
+		
+		load.then(items => {
+			if (items.length > 0 && document.activeElement == input) this.Node('typeahead').Refresh();
+		});
+	}
+	
+	/**
+	 * Event handler for typeahead focusin events
+	 * @param {object} ev typeahead focusin change event 
+	 */
+	 onTypeaheadFocusin_Handler(ev) {
+		if (ev.target && ev.target.nodes && ev.target.nodes.input && ev.target.nodes.input.value) {
+			// Clear search input
+			ev.target.nodes.input.value = "";
+		}
+	}
+
+	/**
+	 * Event handler for typeahead changes
+	 * @param {object} ev typeahead change event
+	 */
+	onTypeaheadChange_Handler(ev) {
+		var data = {
+			layer : this.layer,
+			field : this.field,
+			color : this.color,
+			item : ev.item
+		};
+		
+		this.Emit('Change', data);
+	}
+	
+	/**
+	 * Create a template for the search control
+	 * @returns {string} html template for search control
+	 */
+	Template() {
+		return "<div handle='root' class='search-control mapboxgl-ctrl'>" +
+				  "<div handle='typeahead' widget='Basic.Components.Typeahead'></div>" +
+			   "</div>";
+	}
 }
 
 /**
@@ -3074,22 +3713,44 @@ function generateLegendOpacityValues(legend, storedOpacity) {
  * ["==", ["get","type"],"School"], 
  * "rgba(50,128,229,1)",
  * "rgba(255,214,10,1)"] 
+ *
+ * Legend items of graduated classes have a step, { expression, min }, instead of
+ * a case. Their colours are combined in a single step expression, used as the
+ * default colour.
+ *
+ * Example:
+ * ["case",
+ * ["==", ["get","population"], 0],
+ * "rgba(200,200,200,1)",
+ * ["step", ["get","density"], "rgba(255,255,204,1)", 10, "rgba(65,182,196,1)", 100, "rgba(37,52,148,1)"]]
  */
 function generateColourExpression(legend) {
-	var styleColor, i, styleItem, defaultColour, legendStyles, expression;
+	var styleColor, i, styleItem, defaultColour, legendStyles, expression, steps;
 
 	// Get styling from legend config
 	if (legend && legend.config) {
 		legendStyles = Legend.GetListOfStyles(legend.config);
 	}
 	
+	// Graduated classes, in legend order (lowest class first)
+	steps = Array.isArray(legendStyles) ? legendStyles.filter(s => s.step && s.color) : [];
+	
+	if (steps.length > 0) {
+		defaultColour = ['step', steps[0].step.expression, colourListToRGBString(steps[0].color)];
+		
+		for (i = 1; i < steps.length; i += 1) {
+			defaultColour.push(steps[i].step.min, colourListToRGBString(steps[i].color));
+		}
+	}
+	
 	// Check that legend items length equals opacity length
 	if (Array.isArray(legendStyles) && legendStyles.length > 1) {
 		expression = ['case'];
 		for (i = 0; i < legendStyles.length; i += 1) {
 			styleItem = legendStyles[i];
 
-			if (styleItem) {
+			// Graduated classes are already in the step expression
+			if (styleItem && !styleItem.step) {
 				// Define style color
 				if (styleItem.color) {
 					styleColor = colourListToRGBString(styleItem.color);
@@ -3115,6 +3776,11 @@ function generateColourExpression(legend) {
 		// a defined mapbox expression value)
 		expression.push(defaultColour);
 
+		// A case expression requires at least one case
+		if (expression.length == 2) {
+			expression = defaultColour;
+		}
+
 	} else if (Array.isArray(legendStyles) && legendStyles.length == 1) {
 		// If legend only includes 1 item, set style expression to the value of
 		// a rgb/rgba color string
@@ -3255,6 +3921,14 @@ class Map extends Evented {
 		return this.map._container;
 	}
 	
+	/**
+	 * Get the Dom element containing the map canvas, without the map controls
+	 * @return {object} the html element containing the map canvas
+	 */
+	get CanvasContainer() {
+		return this.map.getCanvasContainer();
+	}
+	
 	/**
 	 * Get the center of the map
 	 * @returns {object} the center coordinates of the map
@@ -3289,6 +3963,35 @@ class Map extends Evented {
 		this.map.setZoom(value);
 	}
 	
+	/**
+	 * Get the map bearing
+	 * @returns {number} the compass direction of the top of the map, in degrees clockwise from north
+	 */
+	get Bearing() {
+		return this.map.getBearing();
+	}
+	
+	/**
+	 * Get the view of the map
+	 * @returns {object} the view, { center, zoom, bearing, pitch }
+	 */
+	get View() {
+		return {
+			center : this.map.getCenter(),
+			zoom : this.map.getZoom(),
+			bearing : this.map.getBearing(),
+			pitch : this.map.getPitch()
+		};
+	}
+	
+	/**
+	 * Set the view of the map, without animation
+	 * @param {object} view - the view, { center, zoom, bearing, pitch }, as provided by the View getter
+	 */
+	set View(view) {
+		this.map.jumpTo(view);
+	}
+	
 	/**
 	 * Get the current map style URL
 	 * @returns {string} URL to the map style document
@@ -3297,10 +4000,50 @@ class Map extends Evented {
 		return this.style;
 	}
 	
+	/**
+	 * Get the attribution text of the map sources, without markup
+	 * @returns {array} list of unique attributions
+	 */
+	get Attribution() {
+		var sources = this.map.style ? this.map.getStyle().sources : {};
+		var div = document.createElement("div");
+		var attributions = [];
+		
+		for (var id in sources) {
+			if (!sources[id].attribution) continue;
+			
+			div.innerHTML = sources[id].attribution;
+			
+			var text = div.textContent.replace(/\s+/g, " ").trim();
+			
+			if (text && attributions.indexOf(text) == -1) attributions.push(text);
+		}
+		
+		return attributions;
+	}
+	
 	constructor(options) {
 		super();
 		
 		this.layers = [];
+		this.hoverLayers = [];
+		this.hover = null;
+		this.pointerIn = false;
+		this.selection = null;
+		this.selectionStyle = null;
+		this.selectionKeyUp = null;
+		this.boxLayers = [];
+		this.boxStart = null;
+		
+		// Visibility of the style layers hidden under a basemap, by layer id
+		this.background = {};
+		
+		// State applied after every style change, see SetState
+		this.state = null;
+		
+		// The style is loading until its first styledata event, only the last style requested is applied
+		this.styleLoaded = false;
+		this.styleRequest = 0;
 		
 		if (options.style === "osm") {
 			options.style = OSM;
@@ -3312,14 +4055,18 @@ class Map extends Evented {
 		
 		this.map = new maplibregl.Map(options); 
 		
-		this.map.once('styledata', this.OnceStyleData_Handler.bind(this));
+		this.map.once('styledata', this.OnceStyleData_Handler.bind(this, this.styleRequest));
+		
+		this.map.on('error', this.OnMapError_Handler.bind(this));
 		
 		// this.map.on('click', this.click);
 		
+		this.WrapEvent('move', 'Move');
 		this.WrapEvent('moveend', 'MoveEnd');
 		this.WrapEvent('zoomend', 'ZoomEnd');
 		this.WrapEvent('load', 'Load');
 		this.WrapEvent('sourcedata', 'SourceData');
+		this.WrapEvent('idle', 'Idle');
 		
 		this.map.once('load', ev => {
 			let mapContainer = this.map.getContainer();
@@ -3341,6 +4088,29 @@ class Map extends Evented {
 	FitBounds(bounds, options) {		
 		this.map.fitBounds(bounds, options);
 	}
+	
+	/**
+	 * Fly the map to a position
+	 * @param {array} center - the [lng, lat] position
+	 * @param {number} zoom - the zoom level at the end of the flight
+	 * @returns {Promise} a promise resolved once the map stops moving
+	 */
+	FlyTo(center, zoom) {
+		return new Promise((resolve, reject) => {
+			this.map.once("moveend", ev => resolve());
+			
+			this.map.flyTo({ center:center, zoom:zoom });
+		});
+	}
+	
+	/**
+	 * Get the pixel position of a map position, relative to the map container
+	 * @param {array} lngLat - the [lng, lat] position
+	 * @returns {object} the pixel position, { x, y }
+	 */
+	Project(lngLat) {
+		return this.map.project(lngLat);
+	}
 
 	/**
 	 * Set the maximum bounds of the map
@@ -3369,7 +4139,10 @@ class Map extends Evented {
 	}
 
 	/**
-	 * Set the map style of the map.
+	 * Set the map style of the map. The style is replaced rather than diffed, so sources
+	 * and layers added at runtime are always removed. When styles are set in a rapid
+	 * succession, only the last one emits a StyleChanged event. A StyleError event is
+	 * emitted if the style fails to load.
 	 * @param {string} style URL of the mapbox map style document
 	 */
 	SetStyle(style) {
@@ -3379,14 +4152,228 @@ class Map extends Evented {
 			this.style = style;
 		}
 		
-		this.map.once('styledata', this.OnceStyleData_Handler.bind(this));
+		this.background = {};
+		this.styleLoaded = false;
+		
+		this.map.once('styledata', this.OnceStyleData_Handler.bind(this, ++this.styleRequest));
 		
-		this.map.setStyle(style);
+		this.map.setStyle(this.style, { diff:false });
+	}
+	
+	/**
+	 * Set the state of the map, it's applied right away and again after each style change.
+	 * The state is declarative, applying it twice has the same result as applying it once,
+	 * so the map doesn't end up half way between two states when styles change quickly or
+	 * fail to load. Properties missing from the state keep their previous value.
+	 * @param {object} state - the state of the map, where;
+	 *		visible is the list of layers shown,
+	 *		hidden is the list of layers hidden,
+	 *		legend is the paint of the layers, { layers, legend, opacity }, see UpdateMapLayersWithLegendState,
+	 *		clickable is the list of layers emitting Click events,
+	 *		hoverable is the list of layers emitting Hover events,
+	 *		boxSelectable is the list of layers emitting BoxSelect events,
+	 *		selection is the outline of the selected features, null to disable the selection, see EnableSelection
+	 */
+	SetState(state) {
+		this.state = Util.Mixin(this.state || {}, state);
+		
+		this.Reconcile();
+	}
+	
+	/**
+	 * Apply the state of the map to the current style, nothing is applied while a style is loading.
+	 * Selected features of a layer that isn't in the style anymore are unselected.
+	 */
+	Reconcile() {
+		var state = this.state;
+		
+		if (!state || !this.styleLoaded) return;
+		
+		(state.hidden || []).filter(l => this.GetLayer(l)).forEach(l => this.HideLayer(l));
+		(state.visible || []).filter(l => this.GetLayer(l)).forEach(l => this.ShowLayer(l));
+		
+		if (state.legend) {
+			var layers = state.legend.layers.filter(l => this.GetLayer(l));
+			
+			this.ApplyLegendStylesToMapLayers(layers, state.legend.legend);
+			this.UpdateMapLayersWithLegendState(layers, state.legend.legend, state.legend.opacity);
+		}
+		
+		if (state.clickable) this.SetClickableLayers(state.clickable);
+		
+		if (state.hoverable) this.SetHoverableLayers(state.hoverable);
+		
+		if (state.boxSelectable) this.SetBoxSelectableLayers(state.boxSelectable);
+		
+		if (this.selection && !this.GetLayer(this.selection.layer)) this.ClearSelection();
+		
+		if (state.hasOwnProperty("selection")) this.EnableSelection(state.selection);
+	}
+	
+	/**
+	 * Show a basemap under a list of layers, instead of the style layers under them. Only
+	 * the style layers under the lowest of the layers are hidden, the layers themselves
+	 * and the style layers over them (e.g. roads or labels) are left as they are.
+	 * @param {string|object} basemap - "osm" for the OSM style, a style with the sources and layers of the basemap, null to show the style layers
+	 * @param {array} layers - the ids of the layers shown over the basemap (e.g. thematic layers)
+	 */
+	SetBasemap(basemap, layers) {
+		var prefix = "basemap-";
+		var style = this.map.getStyle();
+		var before = style.layers.filter(l => layers.indexOf(l.id) > -1)[0];
+		
+		style.layers.filter(l => l.id.indexOf(prefix) == 0).forEach(l => this.map.removeLayer(l.id));
+		
+		for (var id in style.sources) {
+			if (id.indexOf(prefix) == 0) this.map.removeSource(id);
+		}
+		
+		if (!before) return;
+		
+		style.layers.slice(0, style.layers.indexOf(before)).filter(l => l.id.indexOf(prefix) != 0).forEach(l => {
+			// The visibility set by the style is restored when the basemap is removed
+			if (!this.background.hasOwnProperty(l.id)) this.background[l.id] = (l.layout && l.layout.visibility) || "visible";
+			
+			this.map.setLayoutProperty(l.id, "visibility", basemap ? "none" : this.background[l.id]);
+		});
+		
+		if (!basemap) return;
+		
+		var definition = basemap === "osm" ? OSM : basemap;
+		
+		for (var id in definition.sources) this.map.addSource(prefix + id, definition.sources[id]);
+		
+		definition.layers.forEach(l => {
+			var layer = Util.Mixin({}, l);
+			
+			layer.id = prefix + l.id;
+			
+			if (l.source) layer.source = prefix + l.source;
+			
+			this.map.addLayer(layer, before.id);
+		});
 	}
 	
 	SetClickableMap(layers) {				
 		this.map.on('click', this.click);
 	}
+	
+	/**
+	 * Resize the map to the size of its container, required when the container is
+	 * resized by something other than the browser window
+	 */
+	Resize() {
+		this.map.resize();
+	}
+	
+	/**
+	 * Remove the map and release its resources, the map can't be used afterwards
+	 */
+	Remove() {
+		this.map.remove();
+	}
+	
+	/**
+	 * Wait until the map is fully rendered, with its style and all the tiles in view loaded
+	 * @returns {Promise} a promise resolved once the map is idle
+	 */
+	WhenIdle() {
+		return new Promise((resolve, reject) => {
+			if (this.map.loaded() && this.map.areTilesLoaded()) resolve();
+			
+			else this.map.once("idle", ev => resolve());
+		});
+	}
+	
+	/**
+	 * Render the current view of the map in a new canvas, at a given pixel ratio. The
+	 * map is rendered offscreen with a copy of the current style, so layer filters and
+	 * paint properties set at runtime are kept.
+	 * @param {number} ratio - the pixel ratio of the image, e.g. 2 for an image twice the size of the map
+	 * @param {number} timeout - optional, the time allowed to render the map, in milliseconds, 60 seconds by default
+	 * @returns {Promise} a promise resolved with the canvas once all the tiles are rendered, rejected if the
+	 * offscreen map fails or doesn't render in time
+	 */
+	Snapshot(ratio, timeout) {
+		var container = Dom.Create("div", { className:"map-snapshot" }, document.body);
+		
+		container.style.width = this.Container.clientWidth + "px";
+		container.style.height = this.Container.clientHeight + "px";
+		
+		// maplibre sizes its drawing buffer with the device pixel ratio, it is the only
+		// way to render at a higher resolution without changing the map scale.
+		var dpr = Object.getOwnPropertyDescriptor(window, "devicePixelRatio");
+		
+		Object.defineProperty(window, "devicePixelRatio", { get:() => ratio, configurable:true });
+		
+		var map = null;
+		var timer = null;
+		
+		// The offscreen map is removed and the pixel ratio restored whether the snapshot
+		// succeeds or not, otherwise the live map keeps rendering at the snapshot ratio.
+		var restore = () => {
+			clearTimeout(timer);
+			
+			if (map) map.remove();
+			
+			if (dpr) Object.defineProperty(window, "devicePixelRatio", dpr);
+			
+			else delete window.devicePixelRatio;
+			
+			container.parentNode.removeChild(container);
+		}
+		
+		return new Promise((resolve, reject) => {
+			try {
+				map = new maplibregl.Map({
+					container: container,
+					style: this.map.getStyle(),
+					center: this.map.getCenter(),
+					zoom: this.map.getZoom(),
+					bearing: this.map.getBearing(),
+					pitch: this.map.getPitch(),
+					interactive: false,
+					attributionControl: false,
+					preserveDrawingBuffer: true,
+					fadeDuration: 0
+				});
+			}
+			catch (error) {
+				restore();
+				
+				return reject(error);
+			}
+			
+			var fail = error => {
+				map.off("idle", succeed);
+				map.off("error", fail);
+				
+				restore();
+				
+				reject(error.error || error);
+			}
+			
+			var succeed = ev => {
+				var canvas = document.createElement("canvas");
+				var source = map.getCanvas();
+				
+				canvas.width = source.width;
+				canvas.height = source.height;
+				canvas.getContext("2d").drawImage(source, 0, 0);
+				
+				map.off("error", fail);
+				
+				restore();
+				
+				resolve(canvas);
+			}
+			
+			map.once("idle", succeed);
+			map.once("error", fail);
+			
+			timer = setTimeout(() => fail(new Error("The snapshot of the map timed out")), timeout || 60000);
+		});
+	}
 
 	// ------------------------------------------------------------------------
 	// Map Control & UI Methods
@@ -3400,29 +4387,285 @@ class Map extends Evented {
 		this.map.addControl(control, location);
 	}
 	
-	InfoPopup(lngLat, html) {	
-		var popup = new maplibregl.Popup({ closeOnClick: true })
-			.setLngLat(lngLat)
-			.setHTML(html)
-			.addTo(this.map);
+	/**
+	 * Open an information popup on the map
+	 * @param {object} lngLat - the coordinates of the popup
+	 * @param {string|object} html - the content of the popup, an html string or a DOM element
+	 * @param {number} offset - (optional) the distance between the popup tip and the coordinates, in pixels
+	 * @returns {object} the popup
+	 */
+	InfoPopup(lngLat, html, offset) {	
+		var popup = new maplibregl.Popup({ closeOnClick: true, offset: offset }).setLngLat(lngLat);
+		
+		if (typeof html === "string") popup.setHTML(html);
+		
+		else popup.setDOMContent(html);
+		
+		popup.addTo(this.map);
 					
 		popup._closeButton.innerHTML = '<i class="fa fa-times" aria-hidden="true"></i>';
 		popup._closeButton.setAttribute('aria-label', Core.Nls('Mapbox_Close_Popup'));
 		popup._closeButton.title = Core.Nls('Mapbox_Close_Popup');
+		
+		return popup;
+	}
+	
+	/**
+	 * Add a marker on the map
+	 * @param {array} lngLat - the [lng, lat] position of the marker
+	 * @returns {object} the marker, removed with its remove method
+	 */
+	AddMarker(lngLat) {
+		return new maplibregl.Marker().setLngLat(lngLat).addTo(this.map);
 	}
 	
 	SetClickableLayers(layers) {
-		layers.forEach(l => this.map.off('click', l, this.click)); 
+		this.layers.forEach(l => this.map.off('click', l, this.click)); 
 		
 		this.layers = layers;
 		
 		this.layers.forEach(l => this.map.on('click', l, this.click));
 	}
 	
+	/**
+	 * Emit Hover events with the features of a list of layers under the pointer. Hover
+	 * events are throttled, a HoverOut event is emitted when the pointer leaves the map.
+	 * @param {array} layers - list of layer ids, no Hover events are emitted if empty
+	 * @param {number} threshold - the minimum time between Hover events, in milliseconds
+	 */
+	SetHoverableLayers(layers, threshold) {
+		this.hoverLayers = layers;
+		
+		if (this.hover) return;
+		
+		this.hover = Util.Throttle(this.OnLayerHover_Handler.bind(this), threshold || 50);
+		
+		this.map.on('mousemove', ev => {
+			this.pointerIn = true;
+			
+			this.hover(ev);
+		});
+		
+		this.map.on('mouseout', ev => {
+			this.pointerIn = false;
+			
+			this.Emit('HoverOut', ev);
+		});
+	}
+	
 	QueryRenderedFeatures(point, layers) {
 		return this.map.queryRenderedFeatures(point, { layers: layers });
 	}
 	
+	/**
+	 * Get the features loaded in the tiles of a map layer's source, including features
+	 * outside of the current view. Features split across tiles may be returned more
+	 * than once.
+	 * @param {string} layerId - id of the map layer
+	 * @returns {array} list of features, empty if the layer doesn't exist
+	 */
+	QueryLayerSourceFeatures(layerId) {
+		var layer = this.GetLayer(layerId);
+		
+		if (!layer) return [];
+		
+		return this.map.querySourceFeatures(layer.source, { sourceLayer: layer.sourceLayer, filter: layer.filter });
+	}
+	
+	// ------------------------------------------------------------------------
+	// Map Selection Methods
+	// ------------------------------------------------------------------------
+	/**
+	 * Get the selected features
+	 * @returns {object} the selected features, { layer, ids }, null if no feature is selected
+	 */
+	get Selection() {
+		return this.selection;
+	}
+	
+	/**
+	 * Enable the selection of features, the selected features are outlined and the 
+	 * selection is cleared with the escape key. Features are selected by the value of
+	 * a property, the layer sources don't need to provide feature ids.
+	 * @param {object} style - the outline of the selected features, { color:[r, g, b, a], width:3, field:"uid" }, 
+	 * where field is the property holding the ids of the features, null to disable the selection
+	 */
+	EnableSelection(style) {
+		if (!this.selectionKeyUp) {
+			this.selectionKeyUp = ev => {
+				if (ev.keyCode == 27) this.ClearSelection();
+			}
+			
+			document.addEventListener('keyup', this.selectionKeyUp);
+		}
+		
+		this.selectionStyle = style;
+		
+		this.DrawSelection();
+	}
+	
+	/**
+	 * Select features, the previous selection is replaced
+	 * @param {string} layerId - id of the features' layer
+	 * @param {array} featureIds - ids of the features
+	 */
+	Select(layerId, featureIds) {
+		var ids = featureIds.filter(id => id !== undefined && id !== null);
+		
+		this.selection = ids.length > 0 ? { layer:layerId, ids:ids } : null;
+		
+		this.OnSelection_Changed();
+	}
+	
+	/**
+	 * Add features to the selection. The selection is replaced if it's on another layer.
+	 * @param {string} layerId - id of the features' layer
+	 * @param {array} featureIds - ids of the features
+	 */
+	AddToSelection(layerId, featureIds) {
+		if (!this.selection || this.selection.layer != layerId) return this.Select(layerId, featureIds);
+		
+		var ids = featureIds.filter(id => id !== undefined && id !== null && this.selection.ids.indexOf(id) == -1);
+		
+		if (ids.length == 0) return;
+		
+		this.selection.ids = this.selection.ids.concat(ids);
+		
+		this.OnSelection_Changed();
+	}
+	
+	/**
+	 * Remove features from the selection
+	 * @param {array} featureIds - ids of the features
+	 */
+	RemoveFromSelection(featureIds) {
+		if (!this.selection) return;
+		
+		var ids = this.selection.ids.filter(id => featureIds.indexOf(id) == -1);
+		
+		this.Select(this.selection.layer, ids);
+	}
+	
+	/**
+	 * Add a feature to the selection or remove it if it's already selected
+	 * @param {string} layerId - id of the feature's layer
+	 * @param {string|number} featureId - id of the feature
+	 */
+	ToggleSelection(layerId, featureId) {
+		var selected = this.selection && this.selection.layer == layerId && this.selection.ids.indexOf(featureId) > -1;
+		
+		if (selected) this.RemoveFromSelection([featureId]);
+		
+		else this.AddToSelection(layerId, [featureId]);
+	}
+	
+	/**
+	 * Clear the selection, if features are selected
+	 */
+	ClearSelection() {
+		if (!this.selection) return;
+		
+		this.selection = null;
+		
+		this.OnSelection_Changed();
+	}
+	
+	/**
+	 * Outline the selected features. The outline is drawn again when the style changes
+	 * since the style removes it.
+	 */
+	DrawSelection() {
+		var id = "selection-outline";
+		
+		this.RemoveLayer(id);
+		
+		if (!this.selection || !this.selectionStyle) return;
+		
+		var layer = this.GetLayer(this.selection.layer);
+		
+		if (!layer) return;
+		
+		this.AddLayer({
+			id : id,
+			type : "line",
+			source : layer.source,
+			"source-layer" : layer.sourceLayer,
+			filter : ["in", ["get", this.selectionStyle.field], ["literal", this.selection.ids]],
+			paint : {
+				"line-color" : `rgba(${this.selectionStyle.color.join(",")})`,
+				"line-width" : this.selectionStyle.width
+			}
+		});
+	}
+	
+	/**
+	 * Emit BoxSelect events with the features of a list of layers in a box drawn by
+	 * dragging the pointer with the shift key pressed. Replaces the box zoom of the map.
+	 * @param {array} layers - list of layer ids, no BoxSelect events are emitted if empty
+	 */
+	SetBoxSelectableLayers(layers) {
+		this.boxLayers = layers;
+		
+		if (this.boxStart) return;
+		
+		this.boxStart = this.OnBoxStart_Handler.bind(this);
+		
+		this.map.boxZoom.disable();
+		this.map.getCanvasContainer().addEventListener('mousedown', this.boxStart, true);
+	}
+	
+	OnSelection_Changed() {
+		this.DrawSelection();
+		
+		this.Emit('SelectionChanged', { selection:this.selection });
+	}
+	
+	OnBoxStart_Handler(ev) {
+		if (!ev.shiftKey || ev.button !== 0 || this.boxLayers.length == 0) return;
+		
+		var container = this.map.getCanvasContainer();
+		var rect = container.getBoundingClientRect();
+		var point = e => new maplibregl.Point(e.clientX - rect.left - container.clientLeft, e.clientY - rect.top - container.clientTop);
+		var start = point(ev);
+		var box = Dom.Create("div", { className:"map-box-select" }, container);
+		
+		// Keep the map from panning while the box is drawn, shift-clicks without dragging
+		// are still emitted as clicks by the map
+		ev.preventDefault();
+		
+		this.map.dragPan.disable();
+		
+		var move = e => {
+			var p = point(e);
+			
+			box.style.left = Math.min(start.x, p.x) + "px";
+			box.style.top = Math.min(start.y, p.y) + "px";
+			box.style.width = Math.abs(start.x - p.x) + "px";
+			box.style.height = Math.abs(start.y - p.y) + "px";
+		}
+		
+		var up = e => {
+			document.removeEventListener('mousemove', move);
+			document.removeEventListener('mouseup', up);
+			
+			container.removeChild(box);
+			
+			this.map.dragPan.enable();
+			
+			var end = point(e);
+			
+			if (Math.abs(start.x - end.x) < 3 && Math.abs(start.y - end.y) < 3) return;
+			
+			var layers = this.boxLayers.filter(l => !!this.GetLayer(l));
+			var features = layers.length > 0 ? this.QueryRenderedFeatures([start, end], layers) : [];
+			
+			this.Emit('BoxSelect', { features:features });
+		}
+		
+		document.addEventListener('mousemove', move);
+		document.addEventListener('mouseup', up);
+	}
+	
 	// ------------------------------------------------------------------------
 	// Map Data Source Methods
 	// ------------------------------------------------------------------------
@@ -3466,6 +4709,16 @@ class Map extends Evented {
 		}
 	}
 	
+	/**
+	 * Remove a layer from the map
+	 * @param {string} layerId - id of the map layer
+	 */
+	RemoveLayer(layerId) {
+		if (this.GetLayer(layerId)) {
+			this.map.removeLayer(layerId);
+		}
+	}
+	
 	/**
 	 * Get a specified layer
 	 * @param {string} layerId map layer id. 
@@ -3724,10 +4977,31 @@ class Map extends Evented {
 	// ------------------------------------------------------------------------
 	// Map Event Methods
 	// ------------------------------------------------------------------------
-	OnceStyleData_Handler(ev) {
+	OnceStyleData_Handler(request, ev) {
+		// A style requested later replaced this one, its own styledata event applies the state
+		if (request != this.styleRequest) return;
+		
+		this.styleLoaded = true;
+		
+		// Added layers don't survive a style change
+		this.DrawSelection();
+		
+		this.Reconcile();
+		
 		this.Emit('StyleChanged', ev);
 	}
 	
+	/**
+	 * Event handler for map errors, emits a 'StyleError' event if the error happened while
+	 * a style was loading. Errors of sources (e.g. missing tiles) are ignored.
+	 * @param {object} ev - error event object
+	 */
+	OnMapError_Handler(ev) {
+		if (this.styleLoaded || ev.sourceId) return;
+		
+		this.Emit('StyleError', { error:ev.error, style:this.style });
+	}
+	
 	/**
 	 * Event handler for clicking on the map, and emits a 'Click' event.
 	 * @param {object} ev - click event object
@@ -3735,6 +5009,22 @@ class Map extends Evented {
 	OnLayerClick_Handler(ev) {
 		this.Emit('Click', ev);
 	}
+	
+	/**
+	 * Throttled event handler for moving the pointer over the map, emits a 'Hover' event
+	 * with the features of the hoverable layers under the pointer.
+	 * @param {object} ev - mousemove event object
+	 */
+	OnLayerHover_Handler(ev) {
+		// The pointer may have left the map while the event was throttled
+		if (!this.pointerIn || this.hoverLayers.length == 0) return;
+		
+		var layers = this.hoverLayers.filter(l => !!this.GetLayer(l));
+		
+		ev.features = layers.length > 0 ? this.QueryRenderedFeatures(ev.point, layers) : [];
+		
+		this.Emit('Hover', ev);
+	}
 	/**
 	 * Wraps original mapbox event with a new event
 	 * @param {string} oEv original mapbox event
@@ -3987,10 +5277,16 @@ class Factory {
 	 * input field. 
 	 * @param {string} title The title text that's shown when hovering over 
 	 * the control.
+	 * @param {array} patterns (optional) The id patterns suggested when they
+	 * aren't search items, { pattern, level, tag } where pattern is a regular
+	 * expression string.
+	 * @param {array} shards (optional) The sources of search items split in
+	 * shards, fetched as the user types, { path, length, itemize } where
+	 * itemize converts the content of a shard to search items.
 	 * @returns {object} Search control object
 	 */
-	static SearchControl(items, placeholder, title) {
-		return new Search({ items:items, placeholder:placeholder, title:title });
+	static SearchControl(items, placeholder, title, patterns, shards) {
+		return new Search({ items:items, placeholder:placeholder, title:title, patterns:patterns, shards:shards });
 	}
 
 	/**
@@ -4064,7 +5360,12 @@ class Other {
 		
 		fields.forEach(function(f) {
 			var label = f.label;
-			var inner = Core.Nls("Gen_Label_Field", [label, json[f.id]]);
+			var value = json[f.id];
+			
+			// Show the not available text for missing values
+			if (value === null || value === undefined || value === "") value = na;
+			
+			var inner = Core.Nls("Gen_Label_Field", [label, value]);
 			
             html += `<li tabIndex=0><label>${inner}</label></li>`;
 		}); 